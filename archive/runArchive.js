@@ -0,0 +1,140 @@
+// archive/runArchive.js
+// Raw collector output per trendRunId, so a bad scan can be reproduced later.
+// - Each collector call is recorded with its request params and raw (pre-normalize) output.
+// - Stored as DATA_DIR/archive/<trendRunId>.json together with the resolved scan + plan.
+// - POST /admin/replay/:trendRunId feeds an archive back through normalize -> store selection
+//   without touching any external source.
+// - RUN_ARCHIVE_ENABLED=false turns recording off; the oldest archives beyond
+//   RUN_ARCHIVE_MAX_RUNS are pruned.
+
+import { dataPath, pruneJsonDir, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+
+export const RUN_ARCHIVE_ENABLED =
+  String(process.env.RUN_ARCHIVE_ENABLED || "true").toLowerCase().trim() !== "false";
+const MAX_RUNS = Math.max(1, Number(process.env.RUN_ARCHIVE_MAX_RUNS || 100));
+
+const ARCHIVE_DIR = dataPath("archive");
+
+// Collectors whose output makes up the raw item pool (in collect order).
+const COLLECT_STAGE = new Set(["youtube", "youtube_chart", "youtube_watchlist", "gdelt", "rss", "reddit", "hackernews", "mastodon", "bluesky", "github", "podcast"]);
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function archivePath(trendRunId) {
+  const safe = String(trendRunId || "").replace(/[^a-zA-Z0-9_.-]/g, "_") || "_";
+  return dataPath("archive", `${safe}.json`);
+}
+
+// Stable key for params so lookups don't depend on property order.
+function paramsKey(params) {
+  const sorted = {};
+  for (const k of Object.keys(params || {}).sort()) sorted[k] = params[k];
+  return JSON.stringify(sorted);
+}
+
+/**
+ * Recorder for one run. A disabled recorder accepts calls and does nothing.
+ */
+export function createRunArchive({ trendRunId, projectId, scan, plan, enabled = RUN_ARCHIVE_ENABLED }) {
+  const doc = {
+    v: 1,
+    trendRunId: String(trendRunId || ""),
+    projectId: String(projectId || ""),
+    createdAt: nowIso(),
+    savedAt: null,
+    scan,
+    plan,
+    collectors: [],
+  };
+
+  return {
+    enabled,
+
+    record(collector, params, output) {
+      if (!enabled) return;
+      doc.collectors.push({
+        collector,
+        params: params || {},
+        count: Array.isArray(output) ? output.length : output == null ? 0 : 1,
+        output: output ?? null,
+        error: null,
+        at: nowIso(),
+      });
+    },
+
+    recordError(collector, params, err) {
+      if (!enabled) return;
+      doc.collectors.push({
+        collector,
+        params: params || {},
+        count: 0,
+        output: null,
+        error: err?.message || String(err),
+        at: nowIso(),
+      });
+    },
+
+    async save() {
+      if (!enabled) return null;
+      doc.savedAt = nowIso();
+      try {
+        await writeJsonFile(archivePath(doc.trendRunId), doc);
+        pruneJsonDir(ARCHIVE_DIR, MAX_RUNS).catch(() => {});
+        console.log("🗄️ Run archive saved:", { trendRunId: doc.trendRunId, calls: doc.collectors.length });
+        return archivePath(doc.trendRunId);
+      } catch (e) {
+        console.warn("⚠️ Run archive save failed (continuing):", e?.message || e);
+        return null;
+      }
+    },
+  };
+}
+
+export async function loadRunArchive(trendRunId) {
+  return readJsonFile(archivePath(trendRunId), null);
+}
+
+/**
+ * Summary of an archive without the raw payloads.
+ */
+export function describeRunArchive(doc) {
+  if (!doc) return null;
+  return {
+    trendRunId: doc.trendRunId,
+    projectId: doc.projectId,
+    createdAt: doc.createdAt,
+    savedAt: doc.savedAt,
+    collectors: doc.collectors.map(({ collector, params, count, error, at }) => ({ collector, params, count, error, at })),
+  };
+}
+
+/**
+ * Replayer over a stored archive: the raw item pool plus recorded responses
+ * for calls made after collection (Google Trends, Wikipedia, X/Fediverse tags, news enrichment).
+ */
+export function createArchiveReplayer(doc) {
+  const byKey = new Map();
+  for (const c of doc?.collectors || []) {
+    if (c.error) continue;
+    byKey.set(`${c.collector}::${paramsKey(c.params)}`, c.output);
+  }
+
+  return {
+    rawItems() {
+      const out = [];
+      for (const c of doc?.collectors || []) {
+        if (!COLLECT_STAGE.has(c.collector) || !Array.isArray(c.output)) continue;
+        out.push(...c.output);
+      }
+      return out;
+    },
+
+    // Recorded output for the same collector+params, or `fallback` when the call wasn't made/failed.
+    lookup(collector, params, fallback = null) {
+      const key = `${collector}::${paramsKey(params)}`;
+      return byKey.has(key) ? byKey.get(key) : fallback;
+    },
+  };
+}
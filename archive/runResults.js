@@ -0,0 +1,152 @@
+// archive/runResults.js
+// Compact per-run results (store pool + topics) so runs can be compared later.
+// - Saved after ingest as DATA_DIR/results/<trendRunId>.json, whatever the result sink.
+// - Items are keyed by canonicalizeUrl(sourceUrl), topics by the stable topicId hash
+//   from topics/buildTrendTopics.js (clustered here at save time: topic freshness
+//   depends on the clock, so recomputing later would shift scores).
+// - Runs stored by the file sink before results were recorded are read from its run file.
+// - RUN_RESULTS_MAX_RUNS (default 200) bounds how many runs are kept.
+
+import { dataPath, pruneJsonDir, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+import { canonicalizeUrl } from "../utils/url.js";
+import { clusterTrendTopics } from "../topics/buildTrendTopics.js";
+import { readRunFile } from "../sinks/fileSink.js";
+
+const MAX_RUNS = Math.max(1, Number(process.env.RUN_RESULTS_MAX_RUNS || 200));
+const RESULTS_DIR = dataPath("results");
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function resultsPath(trendRunId) {
+  const safe = String(trendRunId || "").replace(/[^a-zA-Z0-9_.-]/g, "_") || "_";
+  return dataPath("results", `${safe}.json`);
+}
+
+function compactItem(it) {
+  return {
+    key: canonicalizeUrl(it?.sourceUrl),
+    platform: String(it?.platform || ""),
+    title: String(it?.topicTitle || it?.title || ""),
+    sourceUrl: String(it?.sourceUrl || ""),
+    trendScore: Number(it?.trendScore || 0),
+    topicId: it?.topicId ? String(it.topicId) : null,
+  };
+}
+
+function compactTopic(t) {
+  return {
+    topicId: String(t?.topicId || ""),
+    title: String(t?.canonicalTitle || ""),
+    topicScore: Number(t?.topicScore || 0),
+    clusterSize: Number(t?.clusterSize || 0),
+  };
+}
+
+function toResultsDoc({ trendRunId, projectId, items, topics, savedAt }) {
+  return {
+    v: 1,
+    trendRunId: String(trendRunId || ""),
+    projectId: String(projectId || ""),
+    savedAt: savedAt || nowIso(),
+    items: (items || []).map(compactItem).filter((it) => it.key),
+    topics: (topics || []).map(compactTopic).filter((t) => t.topicId),
+  };
+}
+
+export async function saveRunResults({ trendRunId, projectId, items = [], maxTopics = 60 }) {
+  const { topics, items: tagged } = clusterTrendTopics({ trendRunId, projectId, items, options: { maxTopics } });
+  const doc = toResultsDoc({ trendRunId, projectId, items: tagged, topics });
+  await writeJsonFile(resultsPath(trendRunId), doc);
+  pruneJsonDir(RESULTS_DIR, MAX_RUNS).catch(() => {});
+  return { items: doc.items.length, topics: doc.topics.length };
+}
+
+export async function loadRunResults(trendRunId) {
+  const doc = await readJsonFile(resultsPath(trendRunId), null);
+  if (doc) return doc;
+
+  const run = await readRunFile(trendRunId);
+  if (!run) return null;
+  return toResultsDoc({ ...run, savedAt: run.updatedAt || run.createdAt });
+}
+
+function diffKeyed(fromList, toList, { keyOf, scoreOf, minDelta, limit }) {
+  const rank = (list) => new Map(list.map((x, i) => [keyOf(x), { x, rank: i + 1 }]));
+  const sortByScore = (list) => list.slice().sort((a, b) => scoreOf(b) - scoreOf(a));
+  const before = rank(sortByScore(fromList));
+  const after = rank(sortByScore(toList));
+
+  const added = [];
+  const up = [];
+  const down = [];
+  let unchanged = 0;
+
+  for (const [key, { x, rank: toRank }] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      added.push({ ...x, rank: toRank });
+      continue;
+    }
+    const delta = scoreOf(x) - scoreOf(prev.x);
+    const moved = {
+      ...x,
+      scoreFrom: scoreOf(prev.x),
+      scoreTo: scoreOf(x),
+      delta: Math.round(delta * 1000) / 1000,
+      rankFrom: prev.rank,
+      rankTo: toRank,
+    };
+    if (delta >= minDelta) up.push(moved);
+    else if (delta <= -minDelta) down.push(moved);
+    else unchanged++;
+  }
+
+  const dropped = [];
+  for (const [key, { x, rank: fromRank }] of before) {
+    if (!after.has(key)) dropped.push({ ...x, rank: fromRank });
+  }
+
+  up.sort((a, b) => b.delta - a.delta);
+  down.sort((a, b) => a.delta - b.delta);
+
+  return {
+    counts: { new: added.length, dropped: dropped.length, up: up.length, down: down.length, unchanged },
+    new: added.slice(0, limit),
+    dropped: dropped.slice(0, limit),
+    up: up.slice(0, limit),
+    down: down.slice(0, limit),
+  };
+}
+
+/**
+ * Compare two stored runs: new / dropped items and topics, and what moved up or down
+ * by trendScore (items) or topicScore (topics). Lists are capped at `limit`.
+ */
+export function diffRunResults(from, to, { limit = 50, minItemDelta = 1, minTopicDelta = 1 } = {}) {
+  const describe = (d) => ({
+    trendRunId: d.trendRunId,
+    savedAt: d.savedAt,
+    items: d.items.length,
+    topics: d.topics.length,
+  });
+
+  return {
+    projectId: to.projectId,
+    from: describe(from),
+    to: describe(to),
+    items: diffKeyed(from.items, to.items, {
+      keyOf: (it) => `${it.platform}::${it.key}`,
+      scoreOf: (it) => it.trendScore,
+      minDelta: minItemDelta,
+      limit,
+    }),
+    topics: diffKeyed(from.topics, to.topics, {
+      keyOf: (t) => t.topicId,
+      scoreOf: (t) => t.topicScore,
+      minDelta: minTopicDelta,
+      limit,
+    }),
+  };
+}
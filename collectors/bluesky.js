@@ -0,0 +1,100 @@
+// collectors/bluesky.js
+// Bluesky posts via the public AppView (no auth): app.bsky.feed.searchPosts per query.
+// - sort=top, limited to the scan window with `since` (and re-checked on createdAt).
+// - Items link to the post on bsky.app; author is the handle.
+
+import { fetchWithRetry } from "../utils/retry.js";
+import { sanitizeText } from "../utils/text.js";
+
+const APPVIEW = process.env.BLUESKY_APPVIEW_URL || "https://public.api.bsky.app";
+
+// at://<did>/app.bsky.feed.post/<rkey> -> https://bsky.app/profile/<handle>/post/<rkey>
+function postUrl(post) {
+  const rkey = String(post?.uri || "").split("/").pop();
+  const who = post?.author?.handle || post?.author?.did;
+  return rkey && who ? `https://bsky.app/profile/${who}/post/${rkey}` : "";
+}
+
+async function searchPosts({ q, since, limit, signal }) {
+  const params = new URLSearchParams({ q, sort: "top", limit: String(limit), since });
+  const url = `${APPVIEW}/xrpc/app.bsky.feed.searchPosts?${params}`;
+  const res = await fetchWithRetry(url, { headers: { Accept: "application/json" }, signal }, { retries: 2, timeoutMs: 15000 });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Bluesky search failed ${res.status}: ${text.slice(0, 200)}`);
+
+  try {
+    return JSON.parse(text)?.posts || [];
+  } catch {
+    const err = new Error(`Bluesky search returned non-JSON body: ${text.replace(/\s+/g, " ").slice(0, 200)}`);
+    err.code = "BLUESKY_NON_JSON";
+    throw err;
+  }
+}
+
+/**
+ * collectBluesky({ queries, windowHours, maxPerQuery, signal })
+ * Failed queries are skipped (logged); the scan signal aborts the whole collector.
+ */
+export async function collectBluesky({ queries = [], windowHours = 24, maxPerQuery = 25, signal }) {
+  const limit = Math.max(1, Math.min(100, Number(maxPerQuery) || 25));
+  const sinceMs = Date.now() - Math.max(1, Number(windowHours) || 24) * 36e5;
+  const since = new Date(sinceMs).toISOString();
+
+  const seen = new Set();
+  const out = [];
+  for (const raw of queries) {
+    const q = String(raw || "").trim();
+    if (!q) continue;
+    signal?.throwIfAborted();
+
+    let posts = [];
+    try {
+      posts = await searchPosts({ q, since, limit, signal });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      console.error("⚠️ Bluesky search failed (skipping):", q, "->", e?.message || e);
+      continue;
+    }
+
+    for (const post of posts) {
+      if (!post?.uri || seen.has(post.uri)) continue;
+      seen.add(post.uri);
+
+      const createdAt = post.record?.createdAt || post.indexedAt || null;
+      const createdMs = Date.parse(createdAt || "");
+      if (!Number.isFinite(createdMs) || createdMs < sinceMs) continue;
+
+      const text = sanitizeText(post.record?.text || "", { maxLen: 700 });
+      const ageHours = Math.max(0, (Date.now() - createdMs) / 36e5);
+      const likes = Number(post.likeCount || 0);
+      const reposts = Number(post.repostCount || 0);
+      const replies = Number(post.replyCount || 0);
+      const quotes = Number(post.quoteCount || 0);
+
+      const item = {
+        platform: "bluesky",
+        topicTitle: sanitizeText(text, { maxLen: 220 }),
+        topicSummary: text,
+        sourceUrl: postUrl(post),
+        publishedAt: new Date(createdMs).toISOString(),
+        author: post.author?.handle ? `@${post.author.handle}` : "",
+        metrics: {
+          likes,
+          reposts,
+          replies,
+          quotes,
+          ageHours: Math.round(ageHours * 10) / 10,
+          // Weighted engagement per hour since posting
+          velocity: Math.round(((likes + 2 * reposts + replies + quotes) / Math.max(ageHours, 0.5)) * 10) / 10,
+          authorHandle: post.author?.handle || "",
+          authorName: post.author?.displayName || "",
+          langs: Array.isArray(post.record?.langs) ? post.record.langs : [],
+        },
+        queryUsed: q,
+      };
+      if (item.sourceUrl && item.topicTitle) out.push(item);
+    }
+  }
+
+  return out;
+}
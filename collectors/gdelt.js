@@ -16,7 +16,7 @@ function detectSocialHints(text) {
   };
 }
 
-export async function collectGdelt({ nicheName, region = "Global", max = 25 }) {
+export async function collectGdelt({ nicheName, region = "Global", max = 25, signal }) {
   // GDELT supports a Lucene-like query syntax. We keep it conservative:
   // - nicheName is the main query
   // - optionally filter by sourceCountry:<ISO2>
@@ -45,6 +45,7 @@ export async function collectGdelt({ nicheName, region = "Global", max = 25 }) {
         "user-agent": "TrendForgeBot/1.0 (+https://trendforge.local)",
         accept: "application/json,text/plain;q=0.9,*/*;q=0.8",
       },
+      signal,
     },
     { retries: 3 }
   );
@@ -0,0 +1,176 @@
+// collectors/github.js
+// GitHub repositories via the REST search API (GITHUB_TOKEN optional, raises the rate limit).
+// - Per niche keyword: repos created recently, and repos pushed recently with some traction,
+//   both sorted by stars.
+// - Stars gained since the last scan come from a star snapshot kept per project + repo
+//   (in-memory, persisted to DATA_DIR/github_stars.json so deltas survive restarts).
+// Items link to the repo; metrics carry stars, forks, language and star velocity.
+
+import { fetchWithRetry } from "../utils/retry.js";
+import { sanitizeText } from "../utils/text.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+
+const GITHUB_API = process.env.GITHUB_API_URL || "https://api.github.com";
+const STARS_FILE = dataPath("github_stars.json");
+const STARS_MAX_AGE_MS = 14 * 864e5; // forget repos not seen for two weeks
+
+// ---- Star snapshot (mentions_delta equivalent for repos) ----
+// Keyed by projectId + full_name -> { stars, ts }.
+let starCache = null;
+
+async function loadStarCache() {
+  if (starCache) return starCache;
+  const saved = await readJsonFile(STARS_FILE, {});
+  starCache = new Map(Object.entries(saved && typeof saved === "object" ? saved : {}));
+  return starCache;
+}
+
+async function saveStarCache() {
+  const cutoff = Date.now() - STARS_MAX_AGE_MS;
+  for (const [k, v] of starCache) if (!(Number(v?.ts) > cutoff)) starCache.delete(k);
+  await writeJsonFile(STARS_FILE, Object.fromEntries(starCache));
+}
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+async function searchRepos({ q, perPage, signal }) {
+  const headers = { Accept: "application/vnd.github+json", "X-GitHub-Api-Version": "2022-11-28" };
+  if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+
+  const url = `${GITHUB_API}/search/repositories?q=${encodeURIComponent(q)}&sort=stars&order=desc&per_page=${perPage}`;
+  const res = await fetchWithRetry(url, { headers, signal }, { retries: 1, timeoutMs: 15000 });
+  const text = await res.text();
+
+  // Search API allows 10 req/min without a token; stop early instead of burning retries.
+  if (res.status === 429 || (res.status === 403 && res.headers.get("x-ratelimit-remaining") === "0")) {
+    const err = new Error(`GitHub search rate limited (${res.status})`);
+    err.code = "GITHUB_RATE_LIMITED";
+    err.status = res.status;
+    throw err;
+  }
+  if (!res.ok) throw new Error(`GitHub search failed ${res.status}: ${text.slice(0, 200)}`);
+
+  try {
+    return JSON.parse(text)?.items || [];
+  } catch {
+    const err = new Error(`GitHub search returned non-JSON body: ${text.replace(/\s+/g, " ").slice(0, 200)}`);
+    err.code = "GITHUB_NON_JSON";
+    throw err;
+  }
+}
+
+function toTrendItem(repo, { listing, queryUsed, prev, now }) {
+  const stars = Number(repo.stargazers_count || 0);
+  const createdMs = Date.parse(repo.created_at || "") || 0;
+  const ageHours = createdMs ? Math.max(0, (now - createdMs) / 36e5) : null;
+
+  // Real velocity when the repo was seen before; lifetime average otherwise.
+  const hoursSinceLastScan = prev ? Math.max(0, (now - Number(prev.ts)) / 36e5) : null;
+  const starsDelta = prev ? stars - Number(prev.stars || 0) : null;
+  const velocity = prev
+    ? Math.round((Math.max(0, starsDelta) / Math.max(hoursSinceLastScan, 0.5)) * 10) / 10
+    : ageHours
+      ? Math.round((stars / Math.max(ageHours, 1)) * 10) / 10
+      : 0;
+
+  return {
+    platform: "github",
+    topicTitle: sanitizeText(
+      repo.description ? `${repo.full_name}: ${repo.description}` : repo.full_name,
+      { maxLen: 220 }
+    ),
+    topicSummary: sanitizeText(repo.description || "", { maxLen: 700 }),
+    sourceUrl: String(repo.html_url || ""),
+    publishedAt: repo.pushed_at || repo.created_at || null,
+    author: repo.owner?.login ? `gh:${repo.owner.login}` : "",
+    metrics: {
+      stars,
+      forks: Number(repo.forks_count || 0),
+      openIssues: Number(repo.open_issues_count || 0),
+      language: repo.language || "",
+      topics: Array.isArray(repo.topics) ? repo.topics.slice(0, 10) : [],
+      starsDelta,
+      hoursSinceLastScan: hoursSinceLastScan == null ? null : Math.round(hoursSinceLastScan * 10) / 10,
+      // Stars per hour (since the last scan when known)
+      velocity,
+      velocitySource: prev ? "snapshot" : "lifetime",
+      ageHours: ageHours == null ? null : Math.round(ageHours * 10) / 10,
+      createdAt: repo.created_at || null,
+      pushedAt: repo.pushed_at || null,
+      fullName: repo.full_name,
+      listing,
+    },
+    queryUsed,
+  };
+}
+
+/**
+ * collectGitHub({ queries, projectId, createdDays, pushedDays, minStars, maxPerQuery, trackStars, signal })
+ *
+ * queries: niche keywords; each runs "created in the last createdDays" and
+ * "pushed in the last pushedDays with >= minStars" searches.
+ * trackStars=false reads the star snapshot without advancing it (preview scans).
+ * Failed searches are skipped (logged); a rate limit stops the remaining searches.
+ */
+export async function collectGitHub({
+  queries = [],
+  projectId = "",
+  createdDays = 30,
+  pushedDays = 1,
+  minStars = 20,
+  maxPerQuery = 10,
+  trackStars = true,
+  signal,
+}) {
+  const perPage = Math.max(1, Math.min(50, Number(maxPerQuery) || 10));
+  const now = Date.now();
+  const createdSince = isoDay(now - Math.max(1, Number(createdDays) || 30) * 864e5);
+  const pushedSince = isoDay(now - Math.max(1, Number(pushedDays) || 1) * 864e5);
+
+  const requests = [];
+  for (const raw of queries) {
+    const kw = String(raw || "").trim();
+    if (!kw) continue;
+    requests.push({ q: `${kw} created:>=${createdSince}`, listing: "created", queryUsed: kw });
+    requests.push({ q: `${kw} pushed:>=${pushedSince} stars:>=${minStars}`, listing: "pushed", queryUsed: kw });
+  }
+  if (!requests.length) return [];
+
+  const stars = await loadStarCache();
+  const seen = new Set();
+  const out = [];
+  for (const req of requests) {
+    signal?.throwIfAborted();
+    let repos = [];
+    try {
+      repos = await searchRepos({ q: req.q, perPage, signal });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      console.error("⚠️ GitHub search failed (skipping):", req.listing, req.queryUsed, "->", e?.message || e);
+      if (e?.code === "GITHUB_RATE_LIMITED") break;
+      continue;
+    }
+
+    for (const repo of repos) {
+      if (!repo?.full_name || repo.fork || repo.archived || seen.has(repo.full_name)) continue;
+      seen.add(repo.full_name);
+
+      const key = `${projectId}::${repo.full_name.toLowerCase()}`;
+      const item = toTrendItem(repo, { ...req, prev: stars.get(key) || null, now });
+      if (trackStars) stars.set(key, { stars: item.metrics.stars, ts: now });
+      if (item.sourceUrl && item.topicTitle) out.push(item);
+    }
+  }
+
+  if (trackStars && out.length) {
+    try {
+      await saveStarCache();
+    } catch (e) {
+      console.error("⚠️ GitHub star snapshot save failed (continuing):", e?.message || e);
+    }
+  }
+
+  return out;
+}
@@ -0,0 +1,115 @@
+// collectors/hackernews.js
+// Hacker News via the public Algolia HN Search API (no key).
+// - Search by niche: /search?query=<q>&tags=story, limited to the scan window
+// - Listings: front page (tags=front_page) and newest stories (search_by_date)
+// Items point at the HN discussion; the submitted link is kept in metrics.linkUrl.
+
+import { fetchWithRetry } from "../utils/retry.js";
+import { sanitizeText } from "../utils/text.js";
+
+const HN_API = "https://hn.algolia.com/api/v1";
+const HN_ITEM_URL = "https://news.ycombinator.com/item?id=";
+
+async function fetchHits(url, { signal }) {
+  const res = await fetchWithRetry(url, { headers: { Accept: "application/json" }, signal }, { retries: 2, timeoutMs: 15000 });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`HN search failed ${res.status}: ${text.slice(0, 200)}`);
+
+  try {
+    return JSON.parse(text)?.hits || [];
+  } catch {
+    const err = new Error(`HN search returned non-JSON body: ${text.replace(/\s+/g, " ").slice(0, 200)}`);
+    err.code = "HN_NON_JSON";
+    throw err;
+  }
+}
+
+function toTrendItem(hit, { listing, queryUsed }) {
+  const createdMs = Number(hit.created_at_i || 0) * 1000 || Date.parse(hit.created_at || "") || 0;
+  const ageHours = createdMs ? Math.max(0, (Date.now() - createdMs) / 36e5) : null;
+  const points = Number(hit.points || 0);
+  const comments = Number(hit.num_comments || 0);
+
+  return {
+    platform: "hackernews",
+    topicTitle: sanitizeText(hit.title || hit.story_title || "", { maxLen: 220 }),
+    topicSummary: sanitizeText(hit.story_text || "", { maxLen: 700 }),
+    sourceUrl: hit.objectID ? `${HN_ITEM_URL}${hit.objectID}` : "",
+    publishedAt: createdMs ? new Date(createdMs).toISOString() : null,
+    author: hit.author ? `hn:${hit.author}` : "",
+    metrics: {
+      points,
+      comments,
+      ageHours: ageHours == null ? null : Math.round(ageHours * 10) / 10,
+      // Points per hour since submission
+      velocity: ageHours ? Math.round((points / Math.max(ageHours, 0.5)) * 10) / 10 : points,
+      frontPage: listing === "front_page" || (Array.isArray(hit._tags) && hit._tags.includes("front_page")),
+      linkUrl: String(hit.url || ""),
+      listing,
+    },
+    queryUsed,
+  };
+}
+
+/**
+ * collectHackerNews({ queries, listings, windowHours, maxPerQuery, signal })
+ *
+ * queries: niche search terms (stories inside windowHours);
+ * listings: any of "front_page", "new".
+ * Failed requests are skipped (logged); the scan signal aborts the whole collector.
+ */
+export async function collectHackerNews({
+  queries = [],
+  listings = [],
+  windowHours = 24,
+  maxPerQuery = 15,
+  signal,
+}) {
+  const hitsPerPage = Math.max(1, Math.min(50, Number(maxPerQuery) || 15));
+  const sinceSec = Math.floor(Date.now() / 1000 - Math.max(1, Number(windowHours) || 24) * 3600);
+  const requests = [];
+
+  for (const q of queries) {
+    const query = String(q || "").trim();
+    if (!query) continue;
+    requests.push({
+      url: `${HN_API}/search?query=${encodeURIComponent(query)}&tags=story&numericFilters=created_at_i>${sinceSec}&hitsPerPage=${hitsPerPage}`,
+      listing: "search",
+      queryUsed: query,
+    });
+  }
+  if (listings.includes("front_page")) {
+    requests.push({ url: `${HN_API}/search?tags=front_page&hitsPerPage=${hitsPerPage}`, listing: "front_page", queryUsed: "front_page" });
+  }
+  if (listings.includes("new")) {
+    requests.push({
+      url: `${HN_API}/search_by_date?tags=story&numericFilters=created_at_i>${sinceSec},points>2&hitsPerPage=${hitsPerPage}`,
+      listing: "new",
+      queryUsed: "new",
+    });
+  }
+
+  const seen = new Set();
+  const out = [];
+  for (const req of requests) {
+    signal?.throwIfAborted();
+    let hits = [];
+    try {
+      hits = await fetchHits(req.url, { signal });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      console.error("⚠️ HN request failed (skipping):", req.listing, req.queryUsed, "->", e?.message || e);
+      continue;
+    }
+
+    for (const hit of hits) {
+      if (!hit?.objectID || seen.has(hit.objectID)) continue;
+      seen.add(hit.objectID);
+
+      const item = toTrendItem(hit, req);
+      if (item.sourceUrl && item.topicTitle) out.push(item);
+    }
+  }
+
+  return out;
+}
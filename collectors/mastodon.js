@@ -0,0 +1,194 @@
+// collectors/mastodon.js
+// Fediverse trends from Mastodon's public API on a configurable set of instances (no auth).
+// - /api/v1/trends/links + /trends/statuses -> TrendItems (platform "mastodon")
+// - /api/v1/trends/tags -> term rows for attachXSignalsToItems (same shape as fetchXTrends rows,
+//   region "FEDI"), aggregated across instances from each tag's usage history.
+// - Responses are cached per instance/endpoint so collect + term matching share one fetch.
+
+import { fetchWithRetry } from "../utils/retry.js";
+import { sanitizeText } from "../utils/text.js";
+
+export const DEFAULT_MASTODON_INSTANCES = String(
+  process.env.MASTODON_INSTANCES || "mastodon.social,mstdn.social,mas.to"
+)
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// Region code used for Fediverse rows in the X term-matching snapshot.
+export const FEDI_REGION = "FEDI";
+
+const CACHE = new Map(); // key -> { expiresAt, value }
+const TTL_MS = 10 * 60 * 1000; // 10 min
+
+function cacheGet(key) {
+  const hit = CACHE.get(key);
+  if (!hit) return null;
+  if (Date.now() > hit.expiresAt) {
+    CACHE.delete(key);
+    return null;
+  }
+  return hit.value;
+}
+
+function cacheSet(key, value) {
+  CACHE.set(key, { value, expiresAt: Date.now() + TTL_MS });
+}
+
+function cleanInstance(s) {
+  return String(s || "").trim().replace(/^https?:\/\//i, "").replace(/\/.*$/, "").toLowerCase();
+}
+
+// history: [{ day, uses, accounts }] newest first, values are strings
+function readHistory(history) {
+  const h = Array.isArray(history) ? history : [];
+  const day = (i) => ({ uses: Number(h[i]?.uses || 0), accounts: Number(h[i]?.accounts || 0) });
+  return { today: day(0), yesterday: day(1) };
+}
+
+async function fetchTrendsEndpoint(instance, kind, { limit, signal }) {
+  const key = `${instance}::${kind}::${limit}`;
+  const cached = cacheGet(key);
+  if (cached) return cached;
+
+  const url = `https://${instance}/api/v1/trends/${kind}?limit=${limit}`;
+  const res = await fetchWithRetry(url, { headers: { Accept: "application/json" }, signal }, { retries: 1, timeoutMs: 12000 });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Mastodon ${instance} ${kind} failed ${res.status}: ${text.slice(0, 160)}`);
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    const err = new Error(`Mastodon ${instance} ${kind} returned non-JSON body`);
+    err.code = "MASTODON_NON_JSON";
+    throw err;
+  }
+  const rows = Array.isArray(json) ? json : [];
+  cacheSet(key, rows);
+  return rows;
+}
+
+// Run one endpoint on every instance; failed instances are skipped (logged).
+async function fetchAcrossInstances(instances, kind, { limit, signal }) {
+  const out = [];
+  for (const inst of instances.map(cleanInstance).filter(Boolean)) {
+    signal?.throwIfAborted();
+    try {
+      const rows = await fetchTrendsEndpoint(inst, kind, { limit, signal });
+      out.push({ instance: inst, rows });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      console.error("⚠️ Mastodon trends failed (skipping):", inst, kind, "->", e?.message || e);
+    }
+  }
+  return out;
+}
+
+/**
+ * Trending tags aggregated across instances, as X-style term rows:
+ * [{ region: "FEDI", term: "#tag", rank, volume, accounts, prevVolume, instances, source: "mastodon" }]
+ * volume = today's uses summed over instances; rank = 1-based by volume.
+ */
+export async function fetchMastodonTagRows({ instances = DEFAULT_MASTODON_INSTANCES, limit = 20, signal } = {}) {
+  const perInstance = await fetchAcrossInstances(instances, "tags", { limit, signal });
+
+  const agg = new Map();
+  for (const { instance, rows } of perInstance) {
+    for (const tag of rows) {
+      const name = String(tag?.name || "").trim().toLowerCase();
+      if (!name) continue;
+      const { today, yesterday } = readHistory(tag.history);
+      const a = agg.get(name) || { term: `#${name}`, volume: 0, accounts: 0, prevVolume: 0, instances: new Set() };
+      a.volume += today.uses;
+      a.accounts += today.accounts;
+      a.prevVolume += yesterday.uses;
+      a.instances.add(instance);
+      agg.set(name, a);
+    }
+  }
+
+  return [...agg.values()]
+    .sort((a, b) => b.volume - a.volume || b.instances.size - a.instances.size)
+    .map((a, i) => ({
+      region: FEDI_REGION,
+      term: a.term,
+      rank: i + 1,
+      volume: a.volume,
+      accounts: a.accounts,
+      prevVolume: a.prevVolume,
+      instances: a.instances.size,
+      source: "mastodon",
+    }));
+}
+
+/**
+ * collectMastodon({ instances, limit, signal }) -> TrendItems (platform "mastodon")
+ * from trending links (aggregated by URL across instances) and trending statuses.
+ */
+export async function collectMastodon({ instances = DEFAULT_MASTODON_INSTANCES, limit = 20, signal } = {}) {
+  const out = [];
+
+  const linkAgg = new Map();
+  for (const { instance, rows } of await fetchAcrossInstances(instances, "links", { limit, signal })) {
+    for (const link of rows) {
+      const url = String(link?.url || "").trim();
+      if (!url) continue;
+      const { today, yesterday } = readHistory(link.history);
+      const a = linkAgg.get(url) || { link, uses: 0, accounts: 0, prevUses: 0, instances: new Set() };
+      a.uses += today.uses;
+      a.accounts += today.accounts;
+      a.prevUses += yesterday.uses;
+      a.instances.add(instance);
+      linkAgg.set(url, a);
+    }
+  }
+  for (const [url, a] of linkAgg) {
+    out.push({
+      platform: "mastodon",
+      topicTitle: sanitizeText(a.link.title, { maxLen: 220 }),
+      topicSummary: sanitizeText(a.link.description || "", { maxLen: 700 }),
+      sourceUrl: url,
+      publishedAt: a.link.published_at || null,
+      author: a.link.provider_name || a.link.author_name || "",
+      metrics: {
+        kind: "link",
+        uses: a.uses,
+        accounts: a.accounts,
+        prevUses: a.prevUses,
+        instances: a.instances.size,
+      },
+      queryUsed: "trends/links",
+    });
+  }
+
+  const seenStatus = new Set();
+  for (const { instance, rows } of await fetchAcrossInstances(instances, "statuses", { limit, signal })) {
+    for (const st of rows) {
+      const url = String(st?.url || st?.uri || "").trim();
+      if (!url || seenStatus.has(url) || st?.sensitive) continue;
+      seenStatus.add(url);
+
+      const text = sanitizeText(st.content || "", { maxLen: 700 });
+      out.push({
+        platform: "mastodon",
+        topicTitle: sanitizeText(text, { maxLen: 220 }),
+        topicSummary: text,
+        sourceUrl: url,
+        publishedAt: st.created_at || null,
+        author: st.account?.acct ? `@${st.account.acct}` : "",
+        metrics: {
+          kind: "status",
+          favourites: Number(st.favourites_count || 0),
+          reblogs: Number(st.reblogs_count || 0),
+          replies: Number(st.replies_count || 0),
+          language: st.language || "",
+          instance,
+        },
+        queryUsed: "trends/statuses",
+      });
+    }
+  }
+
+  return out.filter((x) => x.sourceUrl && x.topicTitle);
+}
@@ -0,0 +1,223 @@
+// collectors/podcasts.js
+// Apple Podcasts (no key):
+// - Top charts per country from the iTunes top-podcasts RSS (Atom), parsed with collectors/rss.js
+// - Episode search per niche via the iTunes Search API (entity=podcastEpisode)
+// Countries are ISO2 region codes (same rule as the YouTube regionCode). Chart rank change is
+// measured against the previous chart seen for that country, persisted to
+// DATA_DIR/podcast_charts.json so it survives restarts.
+
+import { fetchWithRetry } from "../utils/retry.js";
+import { sanitizeText, toPlainString } from "../utils/text.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+import { fetchFeedEntries } from "./rss.js";
+
+const ITUNES = "https://itunes.apple.com";
+const CHARTS_FILE = dataPath("podcast_charts.json");
+
+function countryCode(r) {
+  const s = String(r || "").trim();
+  return /^[A-Z]{2}$/i.test(s) ? s.toUpperCase() : "";
+}
+
+// fast-xml-parser: "@_href" attributes, "#text" bodies, arrays when repeated
+function attr(v, name) {
+  const x = Array.isArray(v) ? v.find((e) => e?.["@_rel"] !== "enclosure") || v[0] : v;
+  return x && typeof x === "object" ? String(x[`@_${name}`] || "") : "";
+}
+
+// ---- Chart snapshot: country -> { current: { sig, ranks }, previous: { sig, ranks } } ----
+// Charts update about once a day; the previous snapshot only rolls when the chart changed,
+// so frequent scans still see the last real movement.
+let chartState = null;
+
+async function loadChartState() {
+  if (chartState) return chartState;
+  const saved = await readJsonFile(CHARTS_FILE, {});
+  chartState = saved && typeof saved === "object" ? saved : {};
+  return chartState;
+}
+
+function chartEntryToRow(entry, idx) {
+  return {
+    podcastId: attr(entry?.id, "im:id") || toPlainString(entry?.id),
+    rank: idx + 1,
+    name: sanitizeText(toPlainString(entry?.["im:name"] || entry?.title), { maxLen: 220 }),
+    artist: sanitizeText(toPlainString(entry?.["im:artist"]), { maxLen: 120 }),
+    summary: sanitizeText(toPlainString(entry?.summary), { maxLen: 700 }),
+    url: attr(entry?.link, "href") || toPlainString(entry?.id),
+    genre: attr(entry?.category, "label") || attr(entry?.category, "term"),
+    releaseDate: toPlainString(entry?.["im:releaseDate"]) || null,
+  };
+}
+
+async function fetchChart(country, { limit, timeoutMs, signal }) {
+  const url = `${ITUNES}/${country.toLowerCase()}/rss/toppodcasts/limit=${limit}/xml`;
+  const entries = await fetchFeedEntries(url, { timeoutMs, signal });
+  return entries.map(chartEntryToRow).filter((r) => r.podcastId && r.name);
+}
+
+// Compare against the previous distinct chart and roll the snapshot when the chart moved.
+function applyRankChanges(state, country, rows, { trackRanks }) {
+  const sig = rows.map((r) => r.podcastId).join(",");
+  const ranks = Object.fromEntries(rows.map((r) => [r.podcastId, r.rank]));
+
+  const entry = state[country] || {};
+  const previous = entry.current && entry.current.sig !== sig ? entry.current : entry.previous || null;
+
+  for (const r of rows) {
+    const prevRank = previous ? Number(previous.ranks?.[r.podcastId] || 0) : 0;
+    r.prevRank = prevRank || null;
+    r.rankChange = prevRank ? prevRank - r.rank : null; // positive = climbing
+    r.newEntry = !!previous && !prevRank;
+  }
+
+  if (trackRanks && entry.current?.sig !== sig) {
+    state[country] = { current: { sig, ranks, ts: Date.now() }, previous };
+    return true;
+  }
+  return false;
+}
+
+async function searchEpisodes({ term, country, limit, signal }) {
+  const params = new URLSearchParams({
+    term,
+    media: "podcast",
+    entity: "podcastEpisode",
+    country: country.toLowerCase(),
+    limit: String(limit),
+  });
+  const res = await fetchWithRetry(`${ITUNES}/search?${params}`, { headers: { Accept: "application/json" }, signal }, { retries: 2, timeoutMs: 15000 });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`iTunes search failed ${res.status}: ${text.slice(0, 200)}`);
+
+  try {
+    return JSON.parse(text)?.results || [];
+  } catch {
+    const err = new Error(`iTunes search returned non-JSON body: ${text.replace(/\s+/g, " ").slice(0, 200)}`);
+    err.code = "PODCAST_NON_JSON";
+    throw err;
+  }
+}
+
+/**
+ * collectPodcasts({ countries, queries, chartLimit, maxPerQuery, episodeWindowHours, trackRanks, signal })
+ *
+ * countries: ISO2 codes (first one is used for episode search); queries: niche keywords.
+ * Chart items carry chartRank / rankChange; episodes carry their show's chart rank when charted.
+ * trackRanks=false reads the chart snapshot without advancing it (preview scans).
+ * Failed charts/searches are skipped (logged); the scan signal aborts the whole collector.
+ */
+export async function collectPodcasts({
+  countries = ["US"],
+  queries = [],
+  chartLimit = 50,
+  maxPerQuery = 15,
+  episodeWindowHours = 168,
+  trackRanks = true,
+  signal,
+}) {
+  const ccs = [...new Set(countries.map(countryCode).filter(Boolean))];
+  if (!ccs.length) ccs.push("US");
+
+  const state = await loadChartState();
+  let stateChanged = false;
+  const out = [];
+  const charted = new Map(); // `${country}:${podcastId}` -> rank
+
+  for (const cc of ccs) {
+    signal?.throwIfAborted();
+    let rows = [];
+    try {
+      rows = await fetchChart(cc, { limit: Math.max(10, Math.min(200, Number(chartLimit) || 50)), timeoutMs: 20000, signal });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      console.error("⚠️ Podcast chart failed (skipping):", cc, "->", e?.message || e);
+      continue;
+    }
+    if (!rows.length) continue;
+    if (applyRankChanges(state, cc, rows, { trackRanks })) stateChanged = true;
+
+    for (const r of rows) {
+      charted.set(`${cc}:${r.podcastId}`, r.rank);
+      out.push({
+        platform: "podcast",
+        topicTitle: r.name,
+        topicSummary: r.summary,
+        sourceUrl: r.url,
+        publishedAt: r.releaseDate,
+        author: r.artist,
+        metrics: {
+          kind: "chart",
+          chartRank: r.rank,
+          prevRank: r.prevRank,
+          rankChange: r.rankChange,
+          newEntry: r.newEntry,
+          chartSize: rows.length,
+          podcastId: r.podcastId,
+          genre: r.genre,
+          sourceCountry: cc,
+        },
+        queryUsed: `charts/${cc}`,
+      });
+    }
+  }
+
+  const searchCountry = ccs[0];
+  const limit = Math.max(1, Math.min(50, Number(maxPerQuery) || 15));
+  const sinceMs = Date.now() - Math.max(1, Number(episodeWindowHours) || 168) * 36e5;
+  const seen = new Set();
+  for (const raw of queries) {
+    const term = String(raw || "").trim();
+    if (!term) continue;
+    signal?.throwIfAborted();
+
+    let results = [];
+    try {
+      results = await searchEpisodes({ term, country: searchCountry, limit, signal });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      console.error("⚠️ Podcast episode search failed (skipping):", term, "->", e?.message || e);
+      continue;
+    }
+
+    for (const ep of results) {
+      const id = String(ep?.trackId || "");
+      if (!id || seen.has(id)) continue;
+      seen.add(id);
+
+      const releasedMs = Date.parse(ep.releaseDate || "");
+      if (!Number.isFinite(releasedMs) || releasedMs < sinceMs) continue;
+
+      const podcastId = String(ep.collectionId || "");
+      const showRank = charted.get(`${searchCountry}:${podcastId}`) || null;
+      const item = {
+        platform: "podcast",
+        topicTitle: sanitizeText(ep.trackName, { maxLen: 220 }),
+        topicSummary: sanitizeText(ep.shortDescription || ep.description || "", { maxLen: 700 }),
+        sourceUrl: String(ep.trackViewUrl || ""),
+        publishedAt: new Date(releasedMs).toISOString(),
+        author: sanitizeText(ep.collectionName || "", { maxLen: 120 }),
+        metrics: {
+          kind: "episode",
+          chartRank: showRank,
+          podcastId,
+          durationSec: ep.trackTimeMillis ? Math.round(Number(ep.trackTimeMillis) / 1000) : null,
+          genres: Array.isArray(ep.genres) ? ep.genres.map((g) => g?.name || g).filter(Boolean) : [],
+          sourceCountry: searchCountry,
+        },
+        queryUsed: term,
+      };
+      if (item.sourceUrl && item.topicTitle) out.push(item);
+    }
+  }
+
+  if (stateChanged) {
+    try {
+      await writeJsonFile(CHARTS_FILE, state);
+    } catch (e) {
+      console.error("⚠️ Podcast chart snapshot save failed (continuing):", e?.message || e);
+    }
+  }
+
+  return out.filter((x) => x.sourceUrl && x.topicTitle);
+}
@@ -0,0 +1,149 @@
+// collectors/reddit.js
+// Reddit public JSON listings (no OAuth app needed).
+// - Subreddit listings: /r/<sub>/hot.json, /r/<sub>/rising.json
+// - Search by niche: /search.json?q=<query>&sort=hot&t=<timeRange>
+// - r/popular accepts geo_filter=<ISO2> for regional discovery.
+// Stickied and NSFW posts are dropped.
+
+import { fetchWithRetry } from "../utils/retry.js";
+import { sanitizeText } from "../utils/text.js";
+
+const REDDIT_BASE = "https://www.reddit.com";
+
+// Reddit throttles default/empty user agents hard.
+const USER_AGENT = process.env.REDDIT_USER_AGENT || "TrendForgeBot/1.0 (+https://trendforge.app)";
+
+function cleanSubreddit(s) {
+  return String(s || "").trim().replace(/^\/?r\//i, "").replace(/[^A-Za-z0-9_]/g, "");
+}
+
+async function fetchListing(url, { signal }) {
+  const res = await fetchWithRetry(
+    url,
+    {
+      headers: { "User-Agent": USER_AGENT, Accept: "application/json" },
+      signal,
+    },
+    { retries: 2, timeoutMs: 15000 }
+  );
+
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Reddit failed ${res.status}: ${text.slice(0, 200)}`);
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    const err = new Error(`Reddit returned non-JSON body: ${text.replace(/\s+/g, " ").slice(0, 200)}`);
+    err.code = "REDDIT_NON_JSON";
+    throw err;
+  }
+  return (json?.data?.children || []).map((c) => c?.data).filter(Boolean);
+}
+
+function toTrendItem(post, { listing, queryUsed, region }) {
+  const createdMs = Number(post.created_utc || 0) * 1000;
+  const ageHours = createdMs ? Math.max(0, (Date.now() - createdMs) / 36e5) : null;
+  const score = Number(post.score || 0);
+  const comments = Number(post.num_comments || 0);
+
+  return {
+    platform: "reddit",
+    topicTitle: sanitizeText(post.title, { maxLen: 220 }),
+    topicSummary: sanitizeText(post.selftext || "", { maxLen: 700 }),
+    sourceUrl: post.permalink ? `${REDDIT_BASE}${post.permalink}` : "",
+    publishedAt: createdMs ? new Date(createdMs).toISOString() : null,
+    author: post.subreddit_name_prefixed || (post.subreddit ? `r/${post.subreddit}` : ""),
+    metrics: {
+      score,
+      upvoteRatio: Number(post.upvote_ratio || 0),
+      comments,
+      ageHours: ageHours == null ? null : Math.round(ageHours * 10) / 10,
+      // Score gained per hour since posting (rough velocity, mirrors YouTube views/hour)
+      velocity: ageHours ? Math.round(score / Math.max(ageHours, 0.5)) : score,
+      subreddit: post.subreddit || "",
+      listing,
+      linkUrl: post.is_self ? "" : String(post.url || ""),
+      domain: post.domain || "",
+      ...(region ? { sourceCountry: region } : {}),
+    },
+    queryUsed,
+  };
+}
+
+/**
+ * collectReddit({ queries, subreddits, popularRegions, listings, maxPerListing, timeRange, signal })
+ *
+ * queries: niche search terms; subreddits: explicit communities (hot + rising);
+ * popularRegions: ISO2 codes (or "") for r/popular discovery.
+ * Failed listings are skipped (logged); the scan signal aborts the whole collector.
+ */
+export async function collectReddit({
+  queries = [],
+  subreddits = [],
+  popularRegions = [],
+  listings = ["hot", "rising"],
+  maxPerListing = 10,
+  timeRange = "day",
+  signal,
+}) {
+  const limit = Math.max(1, Math.min(50, Number(maxPerListing) || 10));
+  const requests = [];
+
+  for (const q of queries) {
+    const query = String(q || "").trim();
+    if (!query) continue;
+    requests.push({
+      url: `${REDDIT_BASE}/search.json?q=${encodeURIComponent(query)}&sort=hot&t=${timeRange}&limit=${limit}&raw_json=1`,
+      listing: "search",
+      queryUsed: query,
+    });
+  }
+
+  for (const s of subreddits) {
+    const sub = cleanSubreddit(s);
+    if (!sub) continue;
+    for (const l of listings) {
+      requests.push({
+        url: `${REDDIT_BASE}/r/${sub}/${l}.json?limit=${limit}&raw_json=1`,
+        listing: l,
+        queryUsed: `r/${sub}`,
+      });
+    }
+  }
+
+  for (const r of popularRegions) {
+    const region = /^[A-Z]{2}$/i.test(String(r || "")) ? String(r).toUpperCase() : "";
+    requests.push({
+      url: `${REDDIT_BASE}/r/popular/hot.json?limit=${limit}&raw_json=1${region ? `&geo_filter=${region}` : ""}`,
+      listing: "popular",
+      queryUsed: "r/popular",
+      region,
+    });
+  }
+
+  const seen = new Set();
+  const out = [];
+  for (const req of requests) {
+    signal?.throwIfAborted();
+    let posts = [];
+    try {
+      posts = await fetchListing(req.url, { signal });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      console.error("⚠️ Reddit listing failed (skipping):", req.listing, req.queryUsed, "->", e?.message || e);
+      continue;
+    }
+
+    for (const post of posts) {
+      if (!post?.id || seen.has(post.id)) continue;
+      if (post.stickied || post.over_18) continue;
+      seen.add(post.id);
+
+      const item = toTrendItem(post, req);
+      if (item.sourceUrl && item.topicTitle) out.push(item);
+    }
+  }
+
+  return out;
+}
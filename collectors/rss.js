@@ -4,6 +4,48 @@ import { sanitizeText, toPlainString } from "../utils/text.js";
 
 const parser = new XMLParser({ ignoreAttributes: false });
 
+/**
+ * Fetch one RSS/Atom feed and return its raw entries (rss/channel/item or feed/entry),
+ * as parsed by fast-xml-parser with attributes kept ("@_href", ...).
+ * Throws on network/parse failure; timeoutMs is a hard per-feed abort.
+ * Shared with collectors/podcasts.js (Apple Podcasts charts).
+ */
+export async function fetchFeedEntries(feedUrl, { timeoutMs = 30000, signal } = {}) {
+  let xml = "";
+
+  // hard timeout per feed so scans don't stall for minutes
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const res = await fetchWithRetry(feedUrl, {
+      // A few feeds reject empty/default UAs or require browser-like headers.
+      headers: {
+        "User-Agent": "Mozilla/5.0 (compatible; TrendForgeBot/1.0; +https://trendforge.app)",
+        "Accept": "application/rss+xml,application/atom+xml,application/xml,text/xml;q=0.9,*/*;q=0.8",
+        "Accept-Language": "en-US,en;q=0.9",
+        "Cache-Control": "no-cache",
+        "Pragma": "no-cache",
+      },
+      signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal,
+    });
+    xml = await res.text();
+  } finally {
+    clearTimeout(t);
+  }
+
+  const data = parser.parse(xml);
+
+  // Pull items out of either rss/channel/item or feed/entry shapes
+  const rssItems =
+    data?.rss?.channel?.item ||
+    data?.channel?.item ||
+    data?.feed?.entry ||
+    [];
+
+  return Array.isArray(rssItems) ? rssItems : [rssItems];
+}
+
 function titleClean(s) {
   return String(s || "")
     .replace(/\s+/g, " ")
@@ -34,10 +76,14 @@ export async function collectRss({
   // Some major feeds (CNN/NPR/etc.) can be slow or transiently blocked.
   // Keep timeout generous to reduce AbortController-triggered failures.
   timeoutMs = 30000,
+  // Optional scan cancellation signal (stops remaining feeds too)
+  signal,
 }) {
   const out = [];
 
   for (const feed of feeds) {
+    signal?.throwIfAborted();
+
     const feedUrl = typeof feed === "string" ? feed : feed?.url;
     if (!feedUrl) continue;
 
@@ -45,46 +91,15 @@ export async function collectRss({
     const feedLanguage = typeof feed === "object" ? feed?.language : undefined;
     const feedPriority = typeof feed === "object" ? feed?.priority : undefined;
 
-    let xml = "";
-    let data;
-
+    let items = [];
     try {
-      // hard timeout per feed so scans don't stall for minutes
-      const controller = new AbortController();
-      const t = setTimeout(() => controller.abort(), timeoutMs);
-
-      try {
-        const res = await fetchWithRetry(feedUrl, {
-          // A few feeds reject empty/default UAs or require browser-like headers.
-          headers: {
-            "User-Agent": "Mozilla/5.0 (compatible; TrendForgeBot/1.0; +https://trendforge.app)",
-            "Accept": "application/rss+xml,application/atom+xml,application/xml,text/xml;q=0.9,*/*;q=0.8",
-            "Accept-Language": "en-US,en;q=0.9",
-            "Cache-Control": "no-cache",
-            "Pragma": "no-cache",
-          },
-          signal: controller.signal,
-        });
-        xml = await res.text();
-      } finally {
-        clearTimeout(t);
-      }
-
-      data = parser.parse(xml);
+      items = await fetchFeedEntries(feedUrl, { timeoutMs, signal });
     } catch (e) {
+      if (signal?.aborted) throw signal.reason;
       console.error("⚠️ RSS feed failed (skipping):", feedUrl, "->", e?.message || e);
       continue;
     }
 
-    // Pull items out of either rss/channel/item or feed/entry shapes
-    const rssItems =
-      data?.rss?.channel?.item ||
-      data?.channel?.item ||
-      data?.feed?.entry ||
-      [];
-
-    const items = Array.isArray(rssItems) ? rssItems : [rssItems];
-
     for (const it of items.slice(0, maxPerFeed)) {
       // IMPORTANT: define these OUTSIDE try so they always exist
       let titleClean = "";
@@ -0,0 +1,171 @@
+// collectors/wikipediaPageviews.js
+// Attention confirmation from the Wikimedia pageviews REST API (no key, stable).
+// - Maps a query (item title / topic keywords) to the best-matching article among the top
+//   Wikipedia REST search hits, then reads daily (or hourly) user pageviews. A hit only counts
+//   when at least 2/3 of its title words appear in the query; otherwise the item gets no signal.
+// - spikeRatio = latest period / trailing baseline (median of the earlier periods).
+// - score01 (0..1) is used by scoreItemsComparable next to googleTrends.score01.
+
+import { fetchWithRetry } from "../utils/retry.js";
+
+// Wikimedia asks API clients to send an identifying User-Agent.
+const USER_AGENT = process.env.WIKIMEDIA_USER_AGENT || "TrendForgeBot/1.0 (+https://trendforge.app)";
+const PAGEVIEWS_API = "https://wikimedia.org/api/rest_v1/metrics/pageviews/per-article";
+
+// simple in-memory cache (same policy as collectors/googleTrends.js)
+const CACHE = new Map(); // key -> { expiresAt, value }
+const TTL_MS = 30 * 60 * 1000; // 30 min
+
+function cacheGet(key) {
+  const hit = CACHE.get(key);
+  if (!hit) return null;
+  if (Date.now() > hit.expiresAt) {
+    CACHE.delete(key);
+    return null;
+  }
+  return hit.value;
+}
+
+function cacheSet(key, value) {
+  CACHE.set(key, { value, expiresAt: Date.now() + TTL_MS });
+}
+
+function clamp01(x) {
+  return Math.max(0, Math.min(1, x));
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const s = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// Pageviews timestamps: YYYYMMDD00 (daily) / YYYYMMDDHH (hourly), UTC
+function pvStamp(d, granularity) {
+  const iso = d.toISOString();
+  const day = iso.slice(0, 10).replace(/-/g, "");
+  return granularity === "hourly" ? `${day}${iso.slice(11, 13)}` : `${day}00`;
+}
+
+async function getJson(url, { signal }) {
+  const res = await fetchWithRetry(
+    url,
+    { headers: { "User-Agent": USER_AGENT, "Api-User-Agent": USER_AGENT, Accept: "application/json" }, signal },
+    { retries: 2, timeoutMs: 12000 }
+  );
+  const text = await res.text();
+  if (res.status === 404) return null; // no data for that article/range
+  if (!res.ok) throw new Error(`Wikimedia failed ${res.status}: ${text.slice(0, 200)}`);
+  return JSON.parse(text);
+}
+
+const STOPWORDS = new Set(["the", "a", "an", "of", "and", "or", "in", "on", "at", "to", "for", "by", "with", "from", "is"]);
+const SEARCH_LIMIT = 5;
+const MIN_TITLE_OVERLAP = 2 / 3;
+
+function titleTokens(s) {
+  return (String(s || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((t) => !STOPWORDS.has(t));
+}
+
+// Share of the article title's words found in the query: "OpenAI" for "OpenAI ships a new
+// model" scores 1, an unrelated hit scores 0. Qualifiers count too ("Said (name)" = 0.5).
+function titleOverlap(queryTokens, title) {
+  const words = [...new Set(titleTokens(title))];
+  if (!words.length) return 0;
+  return words.filter((w) => queryTokens.has(w)).length / words.length;
+}
+
+async function findArticle(query, { lang, signal }) {
+  const url = `https://${lang}.wikipedia.org/w/rest.php/v1/search/page?q=${encodeURIComponent(query)}&limit=${SEARCH_LIMIT}`;
+  const json = await getJson(url, { signal });
+  const queryTokens = new Set(titleTokens(query));
+
+  let best = null;
+  let bestOverlap = 0;
+  for (const page of json?.pages || []) {
+    if (!page?.key || /disambiguation/i.test(page.description || "")) continue;
+    const overlap = titleOverlap(queryTokens, page.title || page.key.replace(/_/g, " "));
+    // strictly greater: search order breaks ties
+    if (overlap > bestOverlap) {
+      best = page;
+      bestOverlap = overlap;
+    }
+  }
+  if (!best || bestOverlap < MIN_TITLE_OVERLAP) return null;
+  return { key: best.key, title: best.title || best.key };
+}
+
+/**
+ * Returns:
+ * {
+ *   ok: true,
+ *   query, article, url,
+ *   granularity: "daily" | "hourly",
+ *   latest, baseline, spikeRatio,
+ *   score01: 0..1
+ * }
+ * or { ok: false, query, reason }.
+ */
+export async function fetchWikipediaSignal({
+  query,
+  project = process.env.WIKIPEDIA_PROJECT || "en.wikipedia",
+  granularity = "daily",
+  baselinePeriods = 14,
+  signal,
+}) {
+  const q = String(query || "").trim();
+  if (!q) return { ok: false, reason: "missing query" };
+
+  const gran = granularity === "hourly" ? "hourly" : "daily";
+  const cacheKey = `${project}::${gran}::${q.toLowerCase()}`;
+  const cached = cacheGet(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const lang = String(project).split(".")[0] || "en";
+    const article = await findArticle(q, { lang, signal });
+    if (!article) {
+      const out = { ok: false, query: q, reason: "no matching article" };
+      cacheSet(cacheKey, out);
+      return out;
+    }
+
+    // Last complete period is the "latest"; the ones before it form the baseline.
+    const stepMs = gran === "hourly" ? 36e5 : 864e5;
+    const end = new Date(Date.now() - stepMs);
+    const start = new Date(end.getTime() - baselinePeriods * stepMs);
+    const url =
+      `${PAGEVIEWS_API}/${project}/all-access/user/${encodeURIComponent(article.key)}/${gran}/` +
+      `${pvStamp(start, gran)}/${pvStamp(end, gran)}`;
+
+    const json = await getJson(url, { signal });
+    const values = (json?.items || []).map((x) => Number(x?.views || 0)).filter((n) => Number.isFinite(n));
+
+    const latest = values.length ? values[values.length - 1] : 0;
+    const baseline = median(values.slice(0, -1));
+    const spikeRatio = Math.round((latest / Math.max(baseline, 1)) * 100) / 100;
+
+    // score01 combines spike (x1 -> 0, x8+ -> 1) + absolute attention level
+    const spike01 = clamp01(Math.log2(Math.max(spikeRatio, 1)) / 3);
+    const level01 = clamp01(Math.log1p(latest) / Math.log1p(200000));
+    const score01 = clamp01(0.7 * spike01 + 0.3 * level01);
+
+    const out = {
+      ok: true,
+      query: q,
+      article: article.title,
+      url: `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(article.key)}`,
+      granularity: gran,
+      latest,
+      baseline,
+      spikeRatio,
+      score01,
+    };
+    cacheSet(cacheKey, out);
+    return out;
+  } catch (e) {
+    if (signal?.aborted) throw signal.reason;
+    return { ok: false, query: q, reason: e?.message || String(e) };
+  }
+}
@@ -121,7 +121,7 @@ function extractTrendsFromTrends24Html(html, limit = 30) {
   return results.slice(0, limit);
 }
 
-async function fetchUrlText(url, timeoutMs = 10_000) {
+async function fetchUrlText(url, timeoutMs = 10_000, signal) {
   const resp = await fetchWithRetry(
     url,
     {
@@ -130,6 +130,7 @@ async function fetchUrlText(url, timeoutMs = 10_000) {
         "User-Agent": "TrendForge/1.0 (read-only trends; contact: admin)",
         "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
       },
+      signal,
     },
     { retries: 2, baseDelayMs: 600, timeoutMs }
   );
@@ -146,12 +147,14 @@ async function fetchUrlText(url, timeoutMs = 10_000) {
  * Safety:
  * - Cache per region for ttlMs
  * - Concurrency cap
+ * - Optional abort signal (scan cancellation) stops remaining regions
  */
 export async function fetchXTrends({
   regions = [],
   limitPerRegion = 30,
   ttlMs = 10 * 60 * 1000,
   concurrency = 2,
+  signal,
 } = {}) {
   const iso2s = (regions || [])
     .map((r) => String(r || "").trim().toUpperCase())
@@ -165,6 +168,7 @@ export async function fetchXTrends({
 
   const workers = new Array(clamp(concurrency, 1, 4)).fill(0).map(async () => {
     while (true) {
+      if (signal?.aborted) break;
       const idx = i++;
       if (idx >= iso2s.length) break;
       const geo = iso2s[idx];
@@ -179,7 +183,7 @@ export async function fetchXTrends({
       }
 
       try {
-        const html = await fetchUrlText(url);
+        const html = await fetchUrlText(url, 10_000, signal);
         const parsed = extractTrendsFromTrends24Html(html, limitPerRegion)
           .map((t, ix) => ({
             term: t.term,
@@ -199,5 +203,6 @@ export async function fetchXTrends({
   });
 
   await Promise.all(workers);
+  signal?.throwIfAborted();
   return out;
 }
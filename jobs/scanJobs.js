@@ -0,0 +1,368 @@
+// jobs/scanJobs.js
+// In-memory registry of scan jobs keyed by trendRunId.
+// - /scan responds immediately and runs the pipeline in the background; this
+//   registry is what GET /scan/:trendRunId reports from.
+// - Per Render instance (not shared across instances, lost on restart).
+// - Every job also keeps a typed event log that GET /scan/:trendRunId/events
+//   streams as Server-Sent Events.
+// - Every job owns an AbortController; its signal is threaded through collectors,
+//   LLM calls and Base44 posts so POST /scan/:trendRunId/cancel stops real work.
+
+import { EventEmitter } from "node:events";
+
+// Pipeline stages in execution order (a scan may skip some of them).
+export const SCAN_STAGES = [
+  "collect",
+  "normalize",
+  "dedupe",
+  "gate",
+  "trends",
+  "wikipedia",
+  "x",
+  "score",
+  "enrich",
+  "ingest",
+  "topics",
+  "summaries",
+  "signals",
+  "angles",
+];
+
+// Keep finished jobs around long enough for dashboards to read the outcome.
+const FINISHED_TTL_MS = 6 * 60 * 60 * 1000; // 6h
+const MAX_JOBS = 200;
+const MAX_WARNINGS = 100;
+const MAX_EVENTS = 500;
+
+const _jobs = new Map();
+
+// Single bus for all jobs; listeners subscribe per trendRunId.
+const _bus = new EventEmitter();
+_bus.setMaxListeners(0);
+
+const ACTIVE_STATUSES = new Set(["queued", "running", "cancelling"]);
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function pruneJobs() {
+  const now = Date.now();
+  for (const [id, job] of _jobs) {
+    if (!isScanJobFinished(job)) continue;
+    const finishedMs = new Date(job.finishedAt || job.updatedAt).getTime();
+    if (now - finishedMs > FINISHED_TTL_MS) _jobs.delete(id);
+  }
+
+  // Hard cap: drop the oldest finished jobs first (Map keeps insertion order).
+  if (_jobs.size <= MAX_JOBS) return;
+  for (const [id, job] of _jobs) {
+    if (_jobs.size <= MAX_JOBS) break;
+    if (isScanJobFinished(job)) _jobs.delete(id);
+  }
+}
+
+function closeStage(job, name, status = "done") {
+  const st = job.stages[name];
+  if (!st || st.status !== "running") return;
+  st.status = status;
+  st.finishedAt = nowIso();
+  st.durationMs = Date.now() - new Date(st.startedAt).getTime();
+  emitScanEvent(job, "stage_finished", {
+    stage: name,
+    status,
+    durationMs: st.durationMs,
+    counts: st.counts,
+  });
+}
+
+/**
+ * Append a typed event to the job log and notify live subscribers.
+ *
+ * Event shape: { id, type, trendRunId, stage, at, data }
+ */
+export function emitScanEvent(job, type, data = {}) {
+  if (!job) return null;
+  const evt = {
+    id: ++job.eventSeq,
+    type: String(type),
+    trendRunId: job.trendRunId,
+    stage: job.stage,
+    at: nowIso(),
+    data,
+  };
+  job.events.push(evt);
+  if (job.events.length > MAX_EVENTS) job.events.shift();
+  _bus.emit(job.trendRunId, evt);
+  return evt;
+}
+
+/**
+ * Events recorded after `afterId` (used to replay history to a new SSE client).
+ */
+export function getScanEvents(job, afterId = 0) {
+  if (!job) return [];
+  const after = Number(afterId) || 0;
+  return job.events.filter((e) => e.id > after);
+}
+
+/**
+ * subscribeScanEvents(trendRunId, listener) -> unsubscribe()
+ */
+export function subscribeScanEvents(trendRunId, listener) {
+  const key = String(trendRunId || "");
+  _bus.on(key, listener);
+  return () => _bus.off(key, listener);
+}
+
+/**
+ * Register a new scan job (replaces any previous job with the same trendRunId).
+ * register=false builds a standalone job (stage timings, cancellation) that is
+ * not listed in the registry, e.g. for synchronous preview scans.
+ */
+export function createScanJob({ trendRunId, projectId, scanMode = "", status = "running", meta = {}, register = true }) {
+  if (!trendRunId) throw new Error("createScanJob: missing trendRunId");
+  pruneJobs();
+
+  const ts = nowIso();
+  const controller = new AbortController();
+  const job = {
+    trendRunId: String(trendRunId),
+    projectId: String(projectId || ""),
+    scanMode,
+    status, // queued | running | cancelling | completed | failed | cancelled
+    stage: null,
+    stages: {},
+    warnings: [],
+    outcome: null,
+    error: null,
+    meta,
+    events: [],
+    eventSeq: 0,
+    controller,
+    signal: controller.signal,
+    cancelRequestedAt: null,
+    createdAt: ts,
+    updatedAt: ts,
+    startedAt: status === "running" ? ts : null,
+    finishedAt: null,
+  };
+
+  if (register) {
+    _jobs.delete(job.trendRunId);
+    _jobs.set(job.trendRunId, job);
+  }
+  emitScanEvent(job, "job_created", { projectId: job.projectId, scanMode, meta });
+  return job;
+}
+
+/**
+ * Queued -> running (no-op for jobs that were created running).
+ */
+export function markScanJobStarted(job) {
+  if (!job || job.status !== "queued") return;
+  job.status = "running";
+  job.startedAt = nowIso();
+  job.updatedAt = job.startedAt;
+  emitScanEvent(job, "job_started", {});
+}
+
+/**
+ * Drop a job that never ran (e.g. rejected by the queue).
+ */
+export function discardScanJob(job) {
+  if (!job) return;
+  if (_jobs.get(job.trendRunId) === job) _jobs.delete(job.trendRunId);
+}
+
+export function getScanJob(trendRunId) {
+  return _jobs.get(String(trendRunId || "")) || null;
+}
+
+export function listScanJobs({ projectId } = {}) {
+  const out = [];
+  for (const job of _jobs.values()) {
+    if (projectId && job.projectId !== String(projectId)) continue;
+    out.push(job);
+  }
+  return out;
+}
+
+/**
+ * Move the job to a new stage. The previously running stage is closed.
+ */
+export function enterStage(job, name, counts = {}) {
+  if (!job) return;
+  if (job.stage && job.stage !== name) closeStage(job, job.stage);
+
+  job.stages[name] = {
+    status: "running",
+    startedAt: nowIso(),
+    finishedAt: null,
+    durationMs: null,
+    counts: { ...(job.stages[name]?.counts || {}), ...counts },
+  };
+  job.stage = name;
+  job.updatedAt = nowIso();
+  emitScanEvent(job, "stage_started", { stage: name, counts: job.stages[name].counts });
+}
+
+/**
+ * Merge per-stage counts (e.g. { before, after, dropped }).
+ */
+export function setStageCounts(job, name, counts = {}) {
+  if (!job) return;
+  const st = (job.stages[name] ||= {
+    status: "pending",
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    counts: {},
+  });
+  Object.assign(st.counts, counts);
+  job.updatedAt = nowIso();
+}
+
+/**
+ * Mark a stage as intentionally not run (disabled by env, not requested, ...).
+ */
+export function skipStage(job, name, reason = "") {
+  if (!job) return;
+  job.stages[name] = {
+    status: "skipped",
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    counts: {},
+    ...(reason ? { reason } : {}),
+  };
+  job.updatedAt = nowIso();
+  emitScanEvent(job, "stage_skipped", { stage: name, reason });
+}
+
+export function addWarning(job, message, data) {
+  if (!job) return;
+  if (job.warnings.length >= MAX_WARNINGS) return;
+  const warning = {
+    stage: job.stage,
+    message: String(message || ""),
+    ...(data !== undefined ? { data } : {}),
+    at: nowIso(),
+  };
+  job.warnings.push(warning);
+  job.updatedAt = nowIso();
+  emitScanEvent(job, "warning", warning);
+}
+
+export function completeScanJob(job, outcome = {}) {
+  if (!job) return;
+  if (job.stage) closeStage(job, job.stage);
+  job.status = "completed";
+  job.outcome = outcome;
+  job.finishedAt = nowIso();
+  job.updatedAt = job.finishedAt;
+  emitScanEvent(job, "job_completed", { outcome });
+}
+
+export function failScanJob(job, err) {
+  if (!job) return;
+  if (job.stage) closeStage(job, job.stage, "failed");
+  job.status = "failed";
+  job.error = { stage: job.stage, message: err?.message || String(err) };
+  job.finishedAt = nowIso();
+  job.updatedAt = job.finishedAt;
+  emitScanEvent(job, "job_failed", { error: job.error });
+}
+
+export function isScanJobFinished(job) {
+  return !!job && !ACTIVE_STATUSES.has(job.status);
+}
+
+/**
+ * Error used as the abort reason when a scan is cancelled.
+ */
+export function scanCancelledError(reason = "") {
+  const err = new Error(`scan cancelled${reason ? `: ${reason}` : ""}`);
+  err.name = "AbortError";
+  err.code = "SCAN_CANCELLED";
+  return err;
+}
+
+export function isScanCancelled(job) {
+  return !!job?.signal?.aborted;
+}
+
+/**
+ * Throw at safe points (stage boundaries, loop iterations) once cancel was requested.
+ */
+export function throwIfScanCancelled(job) {
+  if (!isScanCancelled(job)) return;
+  throw job.signal.reason || scanCancelledError();
+}
+
+/**
+ * Request cancellation. The pipeline notices via job.signal and finishes
+ * the job with markScanJobCancelled().
+ */
+export function cancelScanJob(job, reason = "") {
+  if (!job || isScanJobFinished(job)) return false;
+  if (isScanCancelled(job)) return true;
+  job.status = "cancelling";
+  job.cancelRequestedAt = nowIso();
+  job.updatedAt = job.cancelRequestedAt;
+  emitScanEvent(job, "cancel_requested", { reason });
+  job.controller.abort(scanCancelledError(reason));
+  return true;
+}
+
+export function markScanJobCancelled(job) {
+  if (!job) return;
+  if (job.stage) closeStage(job, job.stage, "cancelled");
+  job.status = "cancelled";
+  job.error = { stage: job.stage, message: "cancelled" };
+  job.finishedAt = nowIso();
+  job.updatedAt = job.finishedAt;
+  emitScanEvent(job, "job_cancelled", { stage: job.stage });
+}
+
+/**
+ * JSON-safe view of a job for the status endpoint.
+ */
+export function serializeScanJob(job) {
+  if (!job) return null;
+
+  const stages = {};
+  for (const name of SCAN_STAGES) {
+    if (job.stages[name]) stages[name] = job.stages[name];
+  }
+  // Keep any ad-hoc stages too (future collectors, etc.)
+  for (const [name, st] of Object.entries(job.stages)) {
+    if (!stages[name]) stages[name] = st;
+  }
+
+  const ran = SCAN_STAGES.filter((s) => job.stages[s]?.status === "done").length;
+
+  return {
+    trendRunId: job.trendRunId,
+    projectId: job.projectId,
+    scanMode: job.scanMode,
+    status: job.status,
+    stage: job.stage,
+    progress: {
+      stageIndex: job.stage ? SCAN_STAGES.indexOf(job.stage) : -1,
+      stagesDone: ran,
+      stagesTotal: SCAN_STAGES.length,
+    },
+    stages,
+    warnings: job.warnings,
+    outcome: job.outcome,
+    error: job.error,
+    meta: job.meta,
+    lastEventId: job.eventSeq,
+    cancelRequestedAt: job.cancelRequestedAt,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+  };
+}
@@ -0,0 +1,135 @@
+// jobs/scanQueue.js
+// In-process scan queue (per Render instance).
+// - Global cap on concurrently running pipelines (SCAN_MAX_CONCURRENT) so parallel
+//   projects don't multiply YouTube search.list / GDELT / OpenAI calls.
+// - Bounded: submissions beyond SCAN_QUEUE_MAX are rejected.
+// - At most one running scan per projectId.
+// - Priorities: higher runs first (strict project scans outrank global discovery).
+// - Fairness: among equal priorities, the least recently served project goes next,
+//   then FIFO.
+
+const MAX_CONCURRENT = Math.max(1, Number(process.env.SCAN_MAX_CONCURRENT || 2));
+const MAX_QUEUED = Math.max(0, Number(process.env.SCAN_QUEUE_MAX || 50));
+
+export const SCAN_PRIORITY = {
+  PROJECT_STRICT: 10,
+  GLOBAL_DISCOVERY: 0,
+};
+
+const _running = new Map(); // trendRunId -> job
+const _activeByProject = new Map(); // projectId -> job
+const _queue = []; // [{ job, run, priority, seq, enqueuedAt }]
+const _lastServedByProject = new Map(); // projectId -> serve tick
+
+let _seq = 0;
+let _tick = 0;
+
+function compareEntries(a, b) {
+  if (b.priority !== a.priority) return b.priority - a.priority;
+  const sa = _lastServedByProject.get(a.job.projectId) ?? -1;
+  const sb = _lastServedByProject.get(b.job.projectId) ?? -1;
+  if (sa !== sb) return sa - sb;
+  return a.seq - b.seq;
+}
+
+// Queue order as it would be served right now (blocked projects still listed, in place).
+function orderedQueue() {
+  return _queue.slice().sort(compareEntries);
+}
+
+function startScan(job, run) {
+  _running.set(job.trendRunId, job);
+  _activeByProject.set(job.projectId, job);
+  _lastServedByProject.set(job.projectId, ++_tick);
+
+  Promise.resolve()
+    .then(run)
+    .catch((e) => console.error("❌ scan runner crashed:", job.trendRunId, e?.message || e))
+    .finally(() => {
+      _running.delete(job.trendRunId);
+      if (_activeByProject.get(job.projectId) === job) _activeByProject.delete(job.projectId);
+      drainQueue();
+    });
+}
+
+function drainQueue() {
+  while (_running.size < MAX_CONCURRENT) {
+    const next = orderedQueue().find((e) => !_activeByProject.has(e.job.projectId));
+    if (!next) return;
+    _queue.splice(_queue.indexOf(next), 1);
+    console.log("▶ scan dequeued", {
+      trendRunId: next.job.trendRunId,
+      projectId: next.job.projectId,
+      priority: next.priority,
+      waitedMs: Date.now() - next.enqueuedAt,
+    });
+    startScan(next.job, next.run);
+  }
+}
+
+/**
+ * The running or queued scan for a project (running wins), or null.
+ */
+export function getActiveProjectScan(projectId) {
+  const pid = String(projectId || "");
+  return _activeByProject.get(pid) || _queue.find((e) => e.job.projectId === pid)?.job || null;
+}
+
+/**
+ * 1-based position in the serve order, or 0 when not queued.
+ */
+export function getQueuePosition(trendRunId) {
+  const idx = orderedQueue().findIndex((e) => e.job.trendRunId === String(trendRunId || ""));
+  return idx + 1;
+}
+
+export function getQueueStats() {
+  return {
+    running: _running.size,
+    queued: _queue.length,
+    maxConcurrent: MAX_CONCURRENT,
+    maxQueued: MAX_QUEUED,
+  };
+}
+
+/**
+ * Start `run` now or queue it.
+ *
+ * Returns:
+ * - { queued: false, position: 0 }          started immediately
+ * - { queued: true, position }              waiting (1-based position)
+ * - { rejected: true, reason }              queue is full
+ */
+export function submitScan(job, run, { priority = SCAN_PRIORITY.GLOBAL_DISCOVERY } = {}) {
+  const canStart = _running.size < MAX_CONCURRENT && !_activeByProject.has(job.projectId);
+  if (canStart && !_queue.length) {
+    startScan(job, run);
+    return { queued: false, position: 0 };
+  }
+
+  if (_queue.length >= MAX_QUEUED) {
+    return { rejected: true, reason: `scan queue full (${MAX_QUEUED})` };
+  }
+
+  const entry = { job, run, priority: Number(priority) || 0, seq: ++_seq, enqueuedAt: Date.now() };
+  _queue.push(entry);
+
+  // A queued scan that gets cancelled runs immediately (outside the concurrency cap)
+  // so its cancellation is recorded/reported without waiting for a slot.
+  job.signal?.addEventListener(
+    "abort",
+    () => {
+      const idx = _queue.indexOf(entry);
+      if (idx < 0) return;
+      _queue.splice(idx, 1);
+      Promise.resolve().then(run).catch(() => {});
+    },
+    { once: true }
+  );
+
+  // Higher-priority work may be startable right away even with older entries waiting.
+  drainQueue();
+
+  const position = getQueuePosition(job.trendRunId);
+  return position ? { queued: true, position } : { queued: false, position: 0 };
+}
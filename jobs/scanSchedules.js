@@ -0,0 +1,341 @@
+// jobs/scanSchedules.js
+// Built-in scheduler for recurring project scans.
+// - Each schedule holds a cron expression (UTC, see utils/cron.js) and the scan payload
+//   (niches, regions, platforms, watchlist, scanMode, ...) that /scan would receive.
+// - Jitter: every fire time is pushed back by a random 0..jitterSeconds so schedules
+//   sharing a cron don't hit YouTube/GDELT at the same second.
+// - Overlap: a run is skipped while the schedule's previous scan is still queued/running.
+// - Definitions persist to DATA_DIR/schedules.json; run bookkeeping rides along.
+// - The timer is per Render instance: enable it (SCHEDULER_ENABLED) on one instance only.
+
+import crypto from "crypto";
+import { parseCron, nextCronTime, cronFrequency } from "../utils/cron.js";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+import { getScanJob, isScanJobFinished } from "./scanJobs.js";
+
+const SCHEDULES_FILE = dataPath("schedules.json");
+const TICK_MS = Math.max(5_000, Number(process.env.SCHEDULER_TICK_MS || 30_000));
+const DEFAULT_JITTER_SEC = Math.max(0, Number(process.env.SCHEDULER_DEFAULT_JITTER_SEC || 60));
+const MAX_JITTER_SEC = 3600;
+const MAX_SCHEDULES = 500;
+
+// Fields copied from a schedule payload into the /scan body.
+const PAYLOAD_KEYS = [
+  "nicheName",
+  "niches",
+  "region",
+  "regions",
+  "platforms",
+  "scanMode",
+  "newsQueries",
+  "watchlist",
+  "windowHours",
+  "priority",
+  "youtubeMode",
+  "topicsMode",
+];
+
+const _schedules = new Map(); // id -> schedule
+let _loading = null; // Promise for the one-time load from disk
+let _timer = null;
+let _trigger = null; // (body) => Promise<{ status, body }>
+let _saving = Promise.resolve();
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function scheduleError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_SCHEDULE";
+  err.status = 400;
+  return err;
+}
+
+function pickPayload(raw) {
+  if (raw == null) return {};
+  if (typeof raw !== "object" || Array.isArray(raw)) throw scheduleError("payload must be an object");
+  const out = {};
+  for (const k of PAYLOAD_KEYS) {
+    if (raw[k] !== undefined) out[k] = raw[k];
+  }
+  return out;
+}
+
+function parseJitter(v) {
+  if (v == null || v === "") return DEFAULT_JITTER_SEC;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > MAX_JITTER_SEC) {
+    throw scheduleError(`jitterSeconds must be 0-${MAX_JITTER_SEC}`);
+  }
+  return Math.round(n);
+}
+
+// Cron time after `from`, plus random jitter. Null when the cron never fires.
+function computeNextRunAt(schedule, from = Date.now()) {
+  const next = nextCronTime(schedule.cron, from);
+  if (!next) return null;
+  const jitterMs = Math.floor(Math.random() * (schedule.jitterSeconds || 0) * 1000);
+  return new Date(next.getTime() + jitterMs).toISOString();
+}
+
+function saveSchedules() {
+  const snapshot = { version: 1, schedules: [..._schedules.values()] };
+  // Serialize writes so an older snapshot never lands after a newer one.
+  _saving = _saving
+    .then(() => writeJsonFile(SCHEDULES_FILE, snapshot))
+    .catch((e) => console.warn("⚠️ Failed to persist schedules (continuing):", e?.message || e));
+  return _saving;
+}
+
+async function loadSchedules() {
+  const data = await readJsonFile(SCHEDULES_FILE, { schedules: [] });
+  for (const s of Array.isArray(data?.schedules) ? data.schedules : []) {
+    if (!s?.id || !s?.projectId) continue;
+    try {
+      parseCron(s.cron);
+    } catch (e) {
+      console.warn("⚠️ Dropping schedule with invalid cron:", s.id, e?.message || e);
+      continue;
+    }
+    // Fire times missed while the service was down are not replayed; resume from now.
+    if (s.enabled && (!s.nextRunAt || new Date(s.nextRunAt).getTime() < Date.now())) {
+      s.nextRunAt = computeNextRunAt(s);
+    }
+    _schedules.set(s.id, s);
+  }
+  console.log("🗓️ Schedules loaded:", _schedules.size);
+}
+
+function ensureLoaded() {
+  return (_loading ||= loadSchedules());
+}
+
+function previousRunActive(schedule) {
+  if (!schedule.lastTrendRunId) return false;
+  const job = getScanJob(schedule.lastTrendRunId);
+  return !!job && !isScanJobFinished(job);
+}
+
+// The /scan body a schedule fires with (fresh trendRunId per run).
+function buildScanBody(schedule, firedAt) {
+  const body = {
+    ...schedule.payload,
+    projectId: schedule.projectId,
+    trendRunId: `sched_${schedule.id}_${firedAt}`,
+    scheduleId: schedule.id,
+  };
+
+  // /scan reads the window from watchlist.windowHours only: fold a top-level one into it.
+  if (body.windowHours !== undefined) {
+    const wl = body.watchlist && typeof body.watchlist === "object" ? body.watchlist : {};
+    body.watchlist = { ...wl, windowHours: wl.windowHours ?? body.windowHours };
+    delete body.windowHours;
+  }
+
+  // "hourly" / "daily" schedules only run the matching watchlist entries by default.
+  const freq = cronFrequency(schedule.cron);
+  if (freq && body.watchlist && typeof body.watchlist === "object" && !body.watchlist.frequency) {
+    body.watchlist = { ...body.watchlist, frequency: freq };
+  }
+  return body;
+}
+
+async function fireSchedule(schedule, { manual = false } = {}) {
+  const firedAt = Date.now();
+  schedule.lastRunAt = new Date(firedAt).toISOString();
+  if (!manual) schedule.nextRunAt = computeNextRunAt(schedule, firedAt);
+
+  if (previousRunActive(schedule)) {
+    schedule.lastStatus = "skipped";
+    schedule.lastMessage = `previous run ${schedule.lastTrendRunId} still active`;
+    schedule.skipCount = (schedule.skipCount || 0) + 1;
+    console.log("⏭️ Scheduled scan skipped (previous run active)", {
+      scheduleId: schedule.id,
+      projectId: schedule.projectId,
+      trendRunId: schedule.lastTrendRunId,
+    });
+    await saveSchedules();
+    return { skipped: true, reason: schedule.lastMessage, trendRunId: schedule.lastTrendRunId };
+  }
+
+  if (!_trigger) throw new Error("scan scheduler not started");
+
+  const body = buildScanBody(schedule, firedAt);
+  let result;
+  try {
+    result = await _trigger(body);
+  } catch (e) {
+    result = { status: 500, body: { error: e?.message || String(e) } };
+  }
+
+  const ok = result?.status >= 200 && result?.status < 300;
+  schedule.lastStatus = ok ? "submitted" : "rejected";
+  schedule.lastMessage = ok ? "" : String(result?.body?.error || `HTTP ${result?.status}`);
+  if (ok) {
+    schedule.lastTrendRunId = body.trendRunId;
+    schedule.runCount = (schedule.runCount || 0) + 1;
+  }
+  console.log(ok ? "🗓️ Scheduled scan submitted" : "⚠️ Scheduled scan rejected", {
+    scheduleId: schedule.id,
+    projectId: schedule.projectId,
+    trendRunId: body.trendRunId,
+    manual,
+    ...(ok ? {} : { status: result?.status, error: schedule.lastMessage }),
+  });
+
+  await saveSchedules();
+  return { submitted: ok, trendRunId: body.trendRunId, status: result?.status, response: result?.body };
+}
+
+async function tick() {
+  const now = Date.now();
+  for (const schedule of _schedules.values()) {
+    if (!schedule.enabled || !schedule.nextRunAt) continue;
+    if (new Date(schedule.nextRunAt).getTime() > now) continue;
+    try {
+      await fireSchedule(schedule);
+    } catch (e) {
+      console.error("❌ Scheduled scan failed to fire:", schedule.id, e?.message || e);
+    }
+  }
+}
+
+/**
+ * Load persisted schedules and start the timer.
+ * `trigger(body)` submits a /scan body and resolves { status, body }.
+ * timer=false keeps CRUD and manual runs working without automatic firing.
+ */
+export async function startScanScheduler({ trigger, timer = true }) {
+  _trigger = trigger;
+  await ensureLoaded();
+  if (_timer || !timer) return;
+  _timer = setInterval(() => {
+    tick().catch((e) => console.error("❌ Scheduler tick crashed:", e?.message || e));
+  }, TICK_MS);
+  _timer.unref?.();
+  console.log("🗓️ Scan scheduler started", { tickMs: TICK_MS, schedules: _schedules.size });
+}
+
+export function stopScanScheduler() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
+
+export function getSchedulerStats() {
+  let enabled = 0;
+  for (const s of _schedules.values()) if (s.enabled) enabled++;
+  return { running: !!_timer, schedules: _schedules.size, enabled, tickMs: TICK_MS };
+}
+
+export async function listSchedules({ projectId } = {}) {
+  await ensureLoaded();
+  const out = [];
+  for (const s of _schedules.values()) {
+    if (projectId && s.projectId !== String(projectId)) continue;
+    out.push(s);
+  }
+  return out;
+}
+
+export async function getSchedule(id) {
+  await ensureLoaded();
+  return _schedules.get(String(id || "")) || null;
+}
+
+/**
+ * createSchedule({ projectId, cron, name?, enabled?, jitterSeconds?, payload })
+ * Throws err.code = "INVALID_SCHEDULE" / "INVALID_CRON" (err.status 400).
+ */
+export async function createSchedule(input = {}) {
+  await ensureLoaded();
+  if (_schedules.size >= MAX_SCHEDULES) throw scheduleError(`too many schedules (${MAX_SCHEDULES})`);
+
+  const projectId = String(input.projectId || "").trim();
+  if (!projectId) throw scheduleError("Missing projectId");
+
+  const cron = String(input.cron || "").trim();
+  try {
+    parseCron(cron);
+  } catch (e) {
+    e.status = 400;
+    throw e;
+  }
+
+  const ts = nowIso();
+  const schedule = {
+    id: crypto.randomUUID(),
+    projectId,
+    name: String(input.name || "").slice(0, 200),
+    cron,
+    enabled: input.enabled === undefined ? true : !!input.enabled,
+    jitterSeconds: parseJitter(input.jitterSeconds),
+    payload: pickPayload(input.payload),
+    createdAt: ts,
+    updatedAt: ts,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastTrendRunId: null,
+    lastStatus: null,
+    lastMessage: "",
+    runCount: 0,
+    skipCount: 0,
+  };
+  if (schedule.enabled) schedule.nextRunAt = computeNextRunAt(schedule);
+
+  _schedules.set(schedule.id, schedule);
+  await saveSchedules();
+  return schedule;
+}
+
+/**
+ * Partial update (name, cron, enabled, jitterSeconds, payload). Null if unknown.
+ * projectId is fixed for the lifetime of a schedule.
+ */
+export async function updateSchedule(id, patch = {}) {
+  await ensureLoaded();
+  const schedule = _schedules.get(String(id || ""));
+  if (!schedule) return null;
+
+  const next = { ...schedule };
+  if (patch.name !== undefined) next.name = String(patch.name || "").slice(0, 200);
+  if (patch.cron !== undefined) {
+    next.cron = String(patch.cron || "").trim();
+    try {
+      parseCron(next.cron);
+    } catch (e) {
+      e.status = 400;
+      throw e;
+    }
+  }
+  if (patch.enabled !== undefined) next.enabled = !!patch.enabled;
+  if (patch.jitterSeconds !== undefined) next.jitterSeconds = parseJitter(patch.jitterSeconds);
+  if (patch.payload !== undefined) next.payload = pickPayload(patch.payload);
+
+  const timingChanged =
+    next.cron !== schedule.cron || next.enabled !== schedule.enabled || next.jitterSeconds !== schedule.jitterSeconds;
+  if (timingChanged) next.nextRunAt = next.enabled ? computeNextRunAt(next) : null;
+  next.updatedAt = nowIso();
+
+  Object.assign(schedule, next);
+  await saveSchedules();
+  return schedule;
+}
+
+export async function deleteSchedule(id) {
+  await ensureLoaded();
+  const deleted = _schedules.delete(String(id || ""));
+  if (deleted) await saveSchedules();
+  return deleted;
+}
+
+/**
+ * Fire a schedule immediately (still skipped while its previous run is active).
+ * Does not move nextRunAt. Null if unknown.
+ */
+export async function runScheduleNow(id) {
+  await ensureLoaded();
+  const schedule = _schedules.get(String(id || ""));
+  if (!schedule) return null;
+  return fireSchedule(schedule, { manual: true });
+}
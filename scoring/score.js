@@ -67,18 +67,24 @@ export function rawScoreItem(item) {
   if (platform === "youtube") {
     const f = freshness01(publishedAt, 24, 72);
 
+    // Scheduled premieres/streams have no stats yet: freshness only, kept low
+    if (metrics.liveBroadcast === "upcoming") return clamp01(0.30 * f);
+
     const velocity = Number(metrics.velocity || 0);
     const views = Number(metrics.views || 0);
     const likes = Number(metrics.likes || 0);
     const comments = Number(metrics.comments || 0);
 
-    const v01 = clamp01(Math.log1p(velocity) / Math.log1p(50000));
-    const e01 = clamp01(Math.log1p(likes + 2 * comments) / Math.log1p(200000));
-    const views01 = clamp01(Math.log1p(views) / Math.log1p(5_000_000));
+    // Shorts pile up views/likes far faster than long-form: compare them on a 5x scale
+    const scale = metrics.isShort ? 5 : 1;
+    const v01 = clamp01(Math.log1p(velocity) / Math.log1p(50000 * scale));
+    const e01 = clamp01(Math.log1p(likes + 2 * comments) / Math.log1p(200000 * scale));
+    const views01 = clamp01(Math.log1p(views) / Math.log1p(5_000_000 * scale));
 
     const raw = 0.55 * v01 + 0.30 * e01 + 0.15 * views01;
+    const live01 = metrics.isLive ? 1 : 0; // broadcasting right now
 
-    return clamp01(0.85 * raw + 0.15 * f);
+    return clamp01(0.85 * raw + 0.15 * f + 0.05 * live01);
   }
 
   if (platform === "news") {
@@ -106,6 +112,114 @@ export function rawScoreItem(item) {
     return clamp01(0.75 * f + 0.15 * sr01 + 0.10 * rel01);
   }
 
+  if (platform === "reddit") {
+    // Threads peak and fade faster than articles
+    const f = freshness01(publishedAt, 12, 48);
+
+    const velocity = Number(metrics.velocity || 0); // score per hour
+    const score = Number(metrics.score || 0);
+    const comments = Number(metrics.comments || 0);
+    const ratio = Number(metrics.upvoteRatio || 0);
+
+    const v01 = clamp01(Math.log1p(velocity) / Math.log1p(5000));
+    const e01 = clamp01(Math.log1p(score + 2 * comments) / Math.log1p(100000));
+    const ratio01 = clamp01((ratio - 0.5) / 0.5); // 50% upvoted = controversial/neutral
+
+    const raw = 0.50 * v01 + 0.35 * e01 + 0.15 * ratio01;
+
+    return clamp01(0.85 * raw + 0.15 * f);
+  }
+
+  if (platform === "hackernews") {
+    const f = freshness01(publishedAt, 12, 48);
+
+    const velocity = Number(metrics.velocity || 0); // points per hour
+    const points = Number(metrics.points || 0);
+    const comments = Number(metrics.comments || 0);
+
+    const v01 = clamp01(Math.log1p(velocity) / Math.log1p(300));
+    const e01 = clamp01(Math.log1p(points + comments) / Math.log1p(3000));
+    const front01 = metrics.frontPage ? 1 : 0;
+
+    const raw = 0.50 * v01 + 0.35 * e01 + 0.15 * front01;
+
+    return clamp01(0.85 * raw + 0.15 * f);
+  }
+
+  if (platform === "mastodon") {
+    const f = freshness01(publishedAt, 12, 48);
+
+    if (metrics.kind === "link") {
+      // Trending link: people sharing it today, across how many instances
+      const accounts = Number(metrics.accounts || 0);
+      const uses = Number(metrics.uses || 0);
+      const prevUses = Number(metrics.prevUses || 0);
+      const a01 = clamp01(Math.log1p(accounts) / Math.log1p(2000));
+      const growth01 = clamp01((uses - prevUses) / Math.max(1, prevUses) / 4);
+      const inst01 = clamp01((Number(metrics.instances || 1) - 1) / 3);
+      const raw = 0.60 * a01 + 0.25 * growth01 + 0.15 * inst01;
+      // Links often carry no publish date: don't let missing freshness sink them
+      return clamp01(publishedAt ? 0.85 * raw + 0.15 * f : raw);
+    }
+
+    const favourites = Number(metrics.favourites || 0);
+    const reblogs = Number(metrics.reblogs || 0);
+    const replies = Number(metrics.replies || 0);
+    const e01 = clamp01(Math.log1p(favourites + 2 * reblogs + replies) / Math.log1p(20000));
+
+    return clamp01(0.85 * e01 + 0.15 * f);
+  }
+
+  if (platform === "bluesky") {
+    const f = freshness01(publishedAt, 12, 48);
+
+    const velocity = Number(metrics.velocity || 0); // weighted engagement per hour
+    const likes = Number(metrics.likes || 0);
+    const reposts = Number(metrics.reposts || 0);
+    const replies = Number(metrics.replies || 0);
+
+    const v01 = clamp01(Math.log1p(velocity) / Math.log1p(2000));
+    const e01 = clamp01(Math.log1p(likes + 2 * reposts + replies) / Math.log1p(50000));
+
+    const raw = 0.55 * v01 + 0.45 * e01;
+
+    return clamp01(0.85 * raw + 0.15 * f);
+  }
+
+  if (platform === "github") {
+    // Freshness = last push; repos trend over days, not hours
+    const f = freshness01(publishedAt, 48, 168);
+
+    const velocity = Number(metrics.velocity || 0); // stars per hour
+    const stars = Number(metrics.stars || 0);
+    const forks = Number(metrics.forks || 0);
+
+    // Lifetime averages flatter old repos: trust them less than measured star deltas
+    const measured = metrics.velocitySource === "snapshot";
+    const v01 = clamp01(Math.log1p(velocity) / Math.log1p(200)) * (measured ? 1 : 0.7);
+    const e01 = clamp01(Math.log1p(stars + 2 * forks) / Math.log1p(100000));
+
+    const raw = 0.60 * v01 + 0.40 * e01;
+
+    return clamp01(0.85 * raw + 0.15 * f);
+  }
+
+  if (platform === "podcast") {
+    const chartRank = Number(metrics.chartRank || 0);
+    const chart01 = chartRank ? clamp01(1 - (chartRank - 1) / Math.max(Number(metrics.chartSize || 200), 1)) : 0;
+
+    if (metrics.kind === "chart") {
+      // Chart entries: position + movement; the release date is the show's, not news
+      const climb01 = clamp01(Number(metrics.rankChange || 0) / 20);
+      const new01 = metrics.newEntry ? 1 : 0;
+      return clamp01(0.60 * chart01 + 0.30 * climb01 + 0.10 * new01);
+    }
+
+    // Episodes: weekly cadence, boosted when the show itself is charting
+    const f = freshness01(publishedAt, 72, 168);
+    return clamp01(0.70 * f + 0.30 * chart01);
+  }
+
   // fallback
   return freshness01(publishedAt, 24, 72);
 }
@@ -148,7 +262,8 @@ export function scoreItemsComparable(items) {
   // 1) compute raw score
   for (const it of items) it._rawScore = rawScoreItem(it);
 
-  // 2) group by platform
+  // 2) group by platform (each platform, incl. reddit/hackernews, is its own percentile group;
+  //    raw scores are only comparable inside a platform)
   const byPlatform = new Map();
   for (const it of items) {
     const p = String(it.platform || "unknown").toLowerCase().trim();
@@ -166,11 +281,15 @@ export function scoreItemsComparable(items) {
     const f = freshness01(it.publishedAt, 24, 72);
     const pct = Number(it._platformPercentile ?? 0);
     const gt01 = clamp01(Number(it.googleTrends?.score01 ?? 0));
+    // External attention confirmation: the stronger of Google Trends and Wikipedia pageviews
+    const wiki = readMetrics(it.metrics).wikipediaSignal;
+    const wiki01 = wiki?.ok ? clamp01(Number(wiki.score01 || 0)) : 0;
+    const attention01 = Math.max(gt01, wiki01);
 
     const final01 = clamp01(
       0.60 * pct +
       0.25 * f +
-      0.15 * gt01
+      0.15 * attention01
     );
 
     it.trendScore = Math.round(final01 * 1000);
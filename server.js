@@ -2,17 +2,75 @@
 import express from "express";
 import cors from "cors";
 
-import { collectYouTubeTrends } from "./youtubeCollector.js";
+import { collectYouTubeChart, collectYouTubeTrends, youtubeCategoryForNiche } from "./youtubeCollector.js";
 import { collectYouTubeWatchlist } from "./youtubeWatchlistCollector.js";
+import { YT_QUOTA_COST, getYouTubeQuotaStatus, loadYouTubeQuota } from "./youtubeQuota.js";
 import { collectGdelt } from "./collectors/gdelt.js";
 import { collectRss } from "./collectors/rss.js";
+import { collectReddit } from "./collectors/reddit.js";
+import { collectHackerNews } from "./collectors/hackernews.js";
+import {
+  collectMastodon,
+  fetchMastodonTagRows,
+  DEFAULT_MASTODON_INSTANCES,
+  FEDI_REGION,
+} from "./collectors/mastodon.js";
+import { collectBluesky } from "./collectors/bluesky.js";
+import { collectGitHub } from "./collectors/github.js";
+import { collectPodcasts } from "./collectors/podcasts.js";
 import { getRssFeedsForRegions } from "./config/rssFeeds.js";
 
 import { normalizeTrendItem } from "./normalize/trendItem.js";
 import { scoreItemsComparable } from "./scoring/score.js";
 import { fetchGoogleTrendsSignal } from "./collectors/googleTrends.js";
+import { fetchWikipediaSignal } from "./collectors/wikipediaPageviews.js";
 import { fetchXTrends } from "./collectors/xTrends.js";
 import { buildEditorial } from "./editorial/buildEditorial.js";
+import {
+  createScanJob,
+  getScanJob,
+  enterStage,
+  setStageCounts,
+  skipStage,
+  addWarning,
+  completeScanJob,
+  failScanJob,
+  serializeScanJob,
+  emitScanEvent,
+  getScanEvents,
+  subscribeScanEvents,
+  isScanJobFinished,
+  cancelScanJob,
+  markScanJobCancelled,
+  isScanCancelled,
+  throwIfScanCancelled,
+  markScanJobStarted,
+  discardScanJob,
+} from "./jobs/scanJobs.js";
+import {
+  submitScan,
+  getActiveProjectScan,
+  getQueuePosition,
+  getQueueStats,
+  SCAN_PRIORITY,
+} from "./jobs/scanQueue.js";
+import {
+  startScanScheduler,
+  getSchedulerStats,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runScheduleNow,
+} from "./jobs/scanSchedules.js";
+import { getResultSink } from "./sinks/index.js";
+import { postToBase44 } from "./sinks/base44Sink.js";
+import { createLocalResults } from "./sinks/localResults.js";
+import { listOutbox, getOutboxStats, replayOutbox } from "./sinks/outbox.js";
+import { canonicalizeUrl } from "./utils/url.js";
+import { createRunArchive, loadRunArchive, describeRunArchive, createArchiveReplayer } from "./archive/runArchive.js";
+import { saveRunResults, loadRunResults, diffRunResults } from "./archive/runResults.js";
 
 const app = express();
 app.use(cors());
@@ -28,28 +86,40 @@ function withDeadline(promise, ms, label = "deadline") {
   ]);
 }
 
-// Base44 function to compute topics from TrendItems already stored for a TrendRun
-const BASE44_BUILD_SIGNALS_URL =
-  process.env.BASE44_BUILD_SIGNALS_URL ||
-  "https://trend-spark-485fdded.base44.app/api/apps/6953c58286976a82485fdded/functions/buildTrendSignalsFromRun";
-
-const BASE44_BUILD_TOPICS_URL =
-  process.env.BASE44_BUILD_TOPICS_URL ||
-  "https://trend-spark-485fdded.base44.app/api/apps/6953c58286976a82485fdded/functions/buildTrendTopicsFromRun";
-
-const BASE44_INGEST_URL =
-  process.env.BASE44_INGEST_URL ||
-  "https://trend-spark-485fdded.base44.app/api/apps/6953c58286976a82485fdded/functions/ingestTrendResults";
-
 // ---- Env sanity ----
-if (!process.env.BASE44_INGEST_URL) console.warn("⚠️ BASE44_INGEST_URL is missing");
-if (!process.env.BASE44_ERROR_URL) console.warn("⚠️ BASE44_ERROR_URL is missing");
-if (!process.env.INGEST_SECRET) console.warn("⚠️ INGEST_SECRET is missing");
+// (Base44 URL/secret checks live in sinks/base44Sink.js and only run when that sink is used.)
 if (!process.env.SERVICE_TOKEN) console.warn("⚠️ SERVICE_TOKEN is missing");
 
+// Second /scan for a project that is already scanning: "queue" (default) or "reject".
+const SCAN_PROJECT_CONFLICT =
+  String(process.env.SCAN_PROJECT_CONFLICT || "queue").toLowerCase().trim() === "reject" ? "reject" : "queue";
+
+// Recurring scans (jobs/scanSchedules.js). Disable on all but one instance when scaled out.
+const SCHEDULER_ENABLED = String(process.env.SCHEDULER_ENABLED ?? "true").toLowerCase().trim() !== "false";
+
 const SERVICE_TOKEN = process.env.SERVICE_TOKEN || "trendforge_service_token";
-const INGEST_SECRET =
-  process.env.INGEST_SECRET || "tf_ingest_6f5d4b9b9f7c44f6b8a0c2d9d3e1a7f1";
+
+// Ingest/topics/signals/error reporting target (RESULT_SINK, see sinks/index.js).
+const sink = getResultSink();
+
+// Where TrendTopics/TrendSignals are built:
+// - "remote" (default): the sink's builders (Base44 buildTrendTopicsFromRun/buildTrendSignalsFromRun)
+// - "local": in-process (topics/ + signals/ modules), then handed to the sink
+// A /scan body may override it with `topicsMode`.
+const TOPICS_MODES = new Set(["remote", "local"]);
+const TOPICS_MODE = TOPICS_MODES.has(String(process.env.TOPICS_MODE || "").toLowerCase().trim())
+  ? String(process.env.TOPICS_MODE).toLowerCase().trim()
+  : "remote";
+
+// YouTube discovery source:
+// - "search" (default): search.list per niche x region (100 units each)
+// - "chart": videos.list?chart=mostPopular per region x category (1 unit), niche-filtered locally
+// - "auto": chart for discovery scans, search for strict project scans
+// A /scan body may override it with `youtubeMode`.
+const YOUTUBE_MODES = new Set(["search", "chart", "auto"]);
+const YOUTUBE_DISCOVERY_MODE = YOUTUBE_MODES.has(String(process.env.YOUTUBE_DISCOVERY_MODE || "").toLowerCase().trim())
+  ? String(process.env.YOUTUBE_DISCOVERY_MODE).toLowerCase().trim()
+  : "search";
 
 // ---- Auth middleware ----
 function requireAuth(req, res, next) {
@@ -63,25 +133,6 @@ function requireAuth(req, res, next) {
 }
 
 
-// ---- UTF-8 safety: remove lone surrogate code units (prevents Base44/Python utf-8 errors) ----
-function stripLoneSurrogates(s) {
-  // Any code unit in D800–DFFF is a surrogate. If it appears alone in a JS string,
-  // JSON.stringify will emit \ud83d style escapes which Python cannot encode as UTF-8.
-  return String(s ?? "").replace(/[\uD800-\uDFFF]/g, "");
-}
-
-function deepCleanForUtf8(x) {
-  if (x == null) return x;
-  if (typeof x === "string") return stripLoneSurrogates(x);
-  if (typeof x === "number" || typeof x === "boolean") return x;
-  if (Array.isArray(x)) return x.map(deepCleanForUtf8);
-  if (typeof x === "object") {
-    const out = {};
-    for (const [k, v] of Object.entries(x)) out[k] = deepCleanForUtf8(v);
-    return out;
-  }
-  return x;
-}
 function buildGoogleNewsRssFeeds(queries, opts = {}) {
   const { hl = "en-US", gl = "US", ceid = "US:en", limit = 12, windowHours = 24 } = opts;
 
@@ -100,52 +151,32 @@ function buildGoogleNewsRssFeeds(queries, opts = {}) {
     });
 }
 
-// ---- Base44 POST helper ----
-async function postToBase44(url, payload) {
-  if (!url) throw new Error("postToBase44: missing url");
-
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-trendforge-secret": INGEST_SECRET,
-    },
-    body: JSON.stringify(deepCleanForUtf8(payload)),
-  });
-
-  const text = await resp.text();
-  if (!resp.ok) throw new Error(`Base44 call failed ${resp.status}: ${text}`);
-
-  try {
-    return JSON.parse(text);
-  } catch {
-    return text;
-  }
-}
-// ---- Base44 helpers (NO retries/backoff) -----
+// ---- Base44 helpers (single attempt; sink writes retry via sinks/outbox.js) -----
 function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
-// Simple JSON POST helper (no retry/backoff)
+// Simple JSON POST helper (single attempt, like postToBase44)
 async function postJson(url, payload) {
   return postToBase44(url, payload);
 }
 
 // Wait until TrendTopics are visible for this run (Base44 can be eventually consistent).
-async function waitForTopics({ trendRunId, projectId, base44FunctionsBase }) {
-  const listUrl = `${base44FunctionsBase}/listTrendTopicsByRun`;
-  for (let attempt = 1; attempt <= 6; attempt++) {
+// Sinks that are not eventually consistent are listed once.
+async function waitForTopics({ trendRunId, projectId, signal }) {
+  const attempts = sink.eventuallyConsistent ? 6 : 1;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    signal?.throwIfAborted();
     try {
-      const resp = await postToBase44(listUrl, { trendRunId, projectId });
-      const topics = Array.isArray(resp?.topics) ? resp.topics : (Array.isArray(resp?.items) ? resp.items : []);
+      const topics = await sink.listTopics({ trendRunId, projectId }, { signal });
       if (Array.isArray(topics) && topics.length > 0) {
         console.log("✅ waitForTopics: topics visible", { count: topics.length, attempt });
         return topics;
       }
       console.log("⏳ waitForTopics: no topics yet", { attempt });
     } catch (e) {
+      if (signal?.aborted) throw signal.reason;
       console.log("⚠️ waitForTopics error (continuing):", e?.message || e);
     }
-    await sleep(800);
+    if (attempt < attempts) await sleep(800);
   }
   return [];
 }
@@ -156,10 +187,15 @@ function normalizeRequestedPlatforms(input = []) {
   const supported = new Set();
 
   if (set.has("youtube")) supported.add("youtube");
+  if (set.has("reddit")) supported.add("reddit");
+  if (set.has("hackernews") || set.has("hn")) supported.add("hackernews");
+  if (set.has("mastodon") || set.has("fediverse")) supported.add("mastodon");
+  if (set.has("bluesky") || set.has("bsky")) supported.add("bluesky");
+  if (set.has("github")) supported.add("github");
+  if (set.has("podcast") || set.has("podcasts")) supported.add("podcast");
 
   const legacyToNews = [
     "news",
-    "reddit",
     "tiktok",
     "instagram",
     "facebook",
@@ -186,19 +222,38 @@ function detectSocialHintsFromText(text) {
   const hasInstagram = t.includes("instagram") || t.includes("instagram.com") || /\big\b/.test(t);
   const hasReels = t.includes("reels") || t.includes("insta reels") || t.includes("instagram reels");
   const hasShorts = t.includes("youtube shorts") || /\bshorts\b/.test(t);
+  const hasBluesky = t.includes("bsky.app") || /\bbluesky\b/.test(t);
   return {
     tiktokMention: !!hasTikTok,
     instagramMention: !!hasInstagram,
     reelsMention: !!hasReels,
     shortsMention: !!hasShorts,
+    blueskyMention: !!hasBluesky,
   };
 }
 
+// Relative STORE pool share per platform when several platforms were requested
+// (youtube + news alone split 60 as 30/30). Unlisted platforms weigh 10.
+const STORE_WEIGHTS = { youtube: 30, news: 30, reddit: 15, hackernews: 15, mastodon: 10, bluesky: 10, github: 10, podcast: 10 };
+const STORE_MIN_PER_PLATFORM = 5;
+
+// Caps for the requested platforms that sum to at most maxStore: every platform gets a floor,
+// the rest is shared by weight. Unused slots are refilled by score in pickBalancedStoreItems.
+function storeCapsFor(platforms, maxStore) {
+  const list = [...new Set(platforms)];
+  if (!list.length) return {};
+  const floor = Math.min(STORE_MIN_PER_PLATFORM, Math.floor(maxStore / list.length));
+  const spare = maxStore - floor * list.length;
+  const weight = (p) => STORE_WEIGHTS[p] ?? 10;
+  const totalWeight = list.reduce((sum, p) => sum + weight(p), 0);
+  return Object.fromEntries(list.map((p) => [p, floor + Math.floor((spare * weight(p)) / totalWeight)]));
+}
+
 // Platform-aware selection for the final STORE pool before ingest.
 // Goal: avoid "all YouTube" runs when YouTube dominates scores.
 function pickBalancedStoreItems(items, {
   maxStore = 60,
-  caps = { youtube: 30, news: 30 },
+  caps = storeCapsFor(["youtube", "news"], maxStore),
 } = {}) {
   const byPlat = items.reduce((acc, it) => {
     const p = safePlatform(it?.platform);
@@ -224,8 +279,7 @@ function pickBalancedStoreItems(items, {
     return n; // remaining
   };
 
-  let remYt = pickFrom("youtube", Math.max(0, caps.youtube ?? 0));
-  let remNews = pickFrom("news", Math.max(0, caps.news ?? 0));
+  for (const [p, cap] of Object.entries(caps)) pickFrom(p, Math.max(0, cap ?? 0));
 
   // Fill remainder from whatever is available, preserving score order.
   if (picked.length < maxStore) {
@@ -250,40 +304,6 @@ function safeUrlFrom(raw, normalized) {
   );
 }
 
-// Strip common tracking params so we dedupe better (especially RSS)
-function canonicalizeUrl(u) {
-  try {
-    const url = new URL(String(u || "").trim());
-    // remove obvious tracking parameters
-    const drop = new Set([
-      "utm_source",
-      "utm_medium",
-      "utm_campaign",
-      "utm_term",
-      "utm_content",
-      "utm_id",
-      "utm_name",
-      "utm_reader",
-      "utm_referrer",
-      "gclid",
-      "fbclid",
-      "mc_cid",
-      "mc_eid",
-      "ref",
-      "ref_src",
-      "igshid",
-    ]);
-    for (const k of [...url.searchParams.keys()]) {
-      if (drop.has(k.toLowerCase())) url.searchParams.delete(k);
-    }
-    // Keep path/query but drop hash
-    url.hash = "";
-    return url.toString();
-  } catch {
-    return String(u || "").trim();
-  }
-}
-
 function normalizeTextLite(s) {
   return String(s || "")
     .toLowerCase()
@@ -383,7 +403,8 @@ function buildPrevXMap(prevSnapshot) {
   return map;
 }
 
-function attachXSignalsToItems({ items, xRows, projectId, totalRegions, prevSnapshot }) {
+// cache: previous rank/volume per term (replays pass a throwaway Map so live deltas stay intact)
+function attachXSignalsToItems({ items, xRows, projectId, totalRegions, prevSnapshot, cache = xPrevCache }) {
   if (!Array.isArray(items) || !items.length) return;
   if (!Array.isArray(xRows) || !xRows.length) return;
 
@@ -401,12 +422,17 @@ function attachXSignalsToItems({ items, xRows, projectId, totalRegions, prevSnap
         regions: new Set(),
         bestRank: Number(r.rank || 9999),
         totalVolume: Number(r.volume || 0),
+        sources: new Set(),
+        // Fediverse-only tags are short single words: matched on whole tokens, not substrings
+        fediOnly: true,
         // we'll compute deltas later per region
         perRegion: new Map(),
       });
     }
     const a = agg.get(key);
+    if (r.region !== FEDI_REGION) a.fediOnly = false;
     a.regions.add(String(r.region || "").toUpperCase());
+    a.sources.add(r.source || "trends24");
     a.bestRank = Math.min(a.bestRank, Number(r.rank || 9999));
     a.totalVolume += Number(r.volume || 0);
     a.perRegion.set(String(r.region || "").toUpperCase(), { rank: Number(r.rank || 0), volume: Number(r.volume || 0) });
@@ -418,6 +444,7 @@ function attachXSignalsToItems({ items, xRows, projectId, totalRegions, prevSnap
     const summary = String(it?.topicSummary || "");
     const combined = normalizeTextLite(`${title} ${summary}`);
     const tags = new Set(extractHashtagsLite(`${title} ${summary}`));
+    const tokens = new Set(tokenizeLite(`${title} ${summary}`).map((t) => t.replace(/^#+/, "")));
 
     let best = null;
     let bestScore = 0;
@@ -431,8 +458,8 @@ function attachXSignalsToItems({ items, xRows, projectId, totalRegions, prevSnap
         continue;
       }
 
-      // phrase match
-      if (bare && combined.includes(bare)) {
+      // phrase match (whole word for fediverse tags: "#art" must not match "start")
+      if (bare && (a.fediOnly ? tokens.has(bare) : combined.includes(bare))) {
         // Prefer tighter rank + more regions when ties.
         const score = 0.85;
         if (score > bestScore) { bestScore = score; best = a; }
@@ -463,16 +490,18 @@ function attachXSignalsToItems({ items, xRows, projectId, totalRegions, prevSnap
 
     // Prefer persisted snapshot (stable across restarts), fall back to in-memory cache.
     const prevFromSnap = prevMap.get(`${srcRegion || "ALL"}::${normTermKey(match.term)}`) || null;
-    const prev = prevFromSnap || xPrevCache.get(cacheKey) || null;
+    const prev = prevFromSnap || cache.get(cacheKey) || null;
     const prevRank = prev ? Number(prev.rank || 0) : 0;
     const prevVol = prev ? Number(prev.volume || 0) : 0;
 
     const mentions_delta = prev ? ((curVol - prevVol) / Math.max(1, prevVol)) : 0;
     const trend_rank_change = prev ? (prevRank - curRank) : 0;
-    const region_presence = totalRegions > 0 ? (match.regions.size / totalRegions) : 0;
+    // FEDI is not a country: keep it out of region_presence (numerator and denominator)
+    const xRegionsCount = [...match.regions].filter((r) => r !== FEDI_REGION).length;
+    const region_presence = totalRegions > 0 ? (xRegionsCount / totalRegions) : 0;
 
     // Persist current snapshot
-    xPrevCache.set(cacheKey, { rank: curRank, volume: curVol, ts: Date.now() });
+    cache.set(cacheKey, { rank: curRank, volume: curVol, ts: Date.now() });
 
     it.metrics = m;
     it.metrics.xSignal = {
@@ -483,13 +512,16 @@ function attachXSignalsToItems({ items, xRows, projectId, totalRegions, prevSnap
       region_presence,
       rank: curRank,
       volume: curVol,
-      regions_count: match.regions.size,
+      regions_count: xRegionsCount,
       total_regions: totalRegions,
-      source: "trends24",
+      source: [...match.sources].join("+"),
     };
   }
 }
 
+// Platforms whose items must fall inside windowHours to pass the strict project gate.
+const FRESHNESS_GATED_PLATFORMS = new Set(["news", "bluesky"]);
+
 function buildProjectGate({ niches, newsQueries, watchlist, regions, windowHours }) {
   const positives = uniqueStrings([
     ...(Array.isArray(niches) ? niches : []),
@@ -515,9 +547,9 @@ function buildProjectGate({ niches, newsQueries, watchlist, regions, windowHours
     const author = String(item?.author || "");
     const text = normalizeTextLite(`${title} ${summary} ${author}`);
 
-    // 1) Freshness hard gate for NEWS/RSS
+    // 1) Freshness hard gate for NEWS/RSS (and Bluesky posts)
     const p = safePlatform(item?.platform);
-    if (p === "news") {
+    if (FRESHNESS_GATED_PLATFORMS.has(p)) {
       const ts = parseDateMsSafe(item?.publishedAt);
       if (Number.isNaN(ts)) {
         return { pass: false, score: 0, reasons: ["missing_or_invalid_publishedAt"] };
@@ -597,6 +629,16 @@ function buildProjectGate({ niches, newsQueries, watchlist, regions, windowHours
   };
 }
 
+function regionCodeFrom(r) {
+  const s = String(r || "").trim();
+  if (/^[A-Z]{2}$/i.test(s)) return s.toUpperCase();
+  return "";
+}
+
+function isTruthyFlag(v) {
+  return v === true || String(v || "").toLowerCase().trim() === "true" || v === 1 || v === "1";
+}
+
 function pickTrendsQuery(item) {
   // simple heuristic: title trimmed
   const t = String(item.topicTitle || "").trim();
@@ -604,6 +646,14 @@ function pickTrendsQuery(item) {
   return t.length > 80 ? t.slice(0, 80) : t;
 }
 
+function countByPlatform(items) {
+  return (items || []).reduce((a, it) => {
+    const p = safePlatform(it?.platform);
+    a[p] = (a[p] || 0) + 1;
+    return a;
+  }, {});
+}
+
 function dedupeByPlatformAndUrl(items) {
   const seen = new Set();
   return items.filter((it) => {
@@ -623,7 +673,14 @@ app.get("/", (req, res) =>
   res.status(200).send("TrendForge Trend Service is running ✅")
 );
 app.get("/health", (req, res) =>
-  res.status(200).json({ ok: true, service: "trendforge-trend-service" })
+  res.status(200).json({
+    ok: true,
+    service: "trendforge-trend-service",
+    scanQueue: getQueueStats(),
+    scheduler: getSchedulerStats(),
+    sink: sink.name,
+    youtubeQuota: getYouTubeQuotaStatus(),
+  })
 );
 
 // ---- Phase C: editorial (LLM ranker/editor) ----
@@ -641,7 +698,7 @@ app.post("/editorial", requireAuth, async (req, res) => {
 
 // ---- Admin: Rebuild topics + signals WITHOUT scan ----
 // This does NOT hit YouTube, RSS, GDELT, etc.
-// It only recomputes from existing TrendItems in Base44.
+// It only recomputes from existing TrendItems in the result sink.
 app.post("/admin/rebuild-signals", requireAuth, async (req, res) => {
   const { trendRunId, projectId } = req.body || {};
 
@@ -657,22 +714,16 @@ app.post("/admin/rebuild-signals", requireAuth, async (req, res) => {
 
     // 1️⃣ Rebuild TrendTopics (freshness, clustering, aggregation)
     console.log("➡️ Rebuilding TrendTopics");
-    const topicsResp = await postToBase44(
-      BASE44_BUILD_TOPICS_URL,
-      { trendRunId, projectId, maxTopics: 60 }
-    );
+    const topicsResp = await sink.buildTopics({ trendRunId, projectId, maxTopics: 60 });
 
     console.log("✅ TrendTopics rebuilt:", topicsResp);
 
     // Small wait for Base44 eventual consistency
-    await sleep(800);
+    if (sink.eventuallyConsistent) await sleep(800);
 
     // 2️⃣ Rebuild TrendSignals (scores, cards, badges)
     console.log("➡️ Rebuilding TrendSignals");
-    const signalsResp = await postToBase44(
-      BASE44_BUILD_SIGNALS_URL,
-      { trendRunId, projectId }
-    );
+    const signalsResp = await sink.buildSignals({ trendRunId, projectId });
 
     console.log("✅ TrendSignals rebuilt:", signalsResp);
 
@@ -692,14 +743,63 @@ app.post("/admin/rebuild-signals", requireAuth, async (req, res) => {
   }
 });
 
-// ---- Scan ----
-app.post("/scan", requireAuth, async (req, res) => {
-  console.log("🔥🔥🔥 /scan HIT (TOP)", new Date().toISOString());
-  console.log("X-Trace-Id:", req.headers["x-trace-id"]);
-  console.log("CF-RAY:", req.headers["cf-ray"]);
-  console.log("rndr-id header will be added by Render (response)");
-  console.log("Body keys:", Object.keys(req.body || {}));
- 
+// ---- Admin: outbox (durable sink writes) ----
+// Inspect deliveries: ?status=failed&kind=ingest&trendRunId=...&limit=100 (payloads omitted)
+app.get("/admin/outbox", requireAuth, async (req, res) => {
+  try {
+    const { status, kind, trendRunId, limit } = req.query;
+    const entries = await listOutbox({ status, kind, trendRunId, limit });
+    res.json({ ok: true, stats: await getOutboxStats(), entries });
+  } catch (e) {
+    console.error("❌ /admin/outbox failed:", e?.message || e);
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Re-deliver failed entries: { ids?: [...], status?: "failed"|"cancelled", kind?, trendRunId?, limit? }
+app.post("/admin/outbox/replay", requireAuth, async (req, res) => {
+  try {
+    const { ids, status, kind, trendRunId, limit } = req.body || {};
+    if (status && !["failed", "cancelled"].includes(status)) {
+      return res.status(400).json({ error: `Only failed or cancelled entries can be replayed` });
+    }
+    console.log("📮 Outbox replay requested", { ids: ids?.length || 0, status, kind, trendRunId });
+    const results = await replayOutbox({ ids, status: status || "failed", kind, trendRunId, limit });
+    const delivered = results.filter((r) => r.delivered).length;
+    res.json({ ok: true, replayed: results.length, delivered, results, stats: await getOutboxStats() });
+  } catch (e) {
+    console.error("❌ /admin/outbox/replay failed:", e?.message || e);
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---- Run diff ----
+// What changed between two runs of the same project: new / dropped / moved items and topics.
+app.get("/runs/diff", requireAuth, async (req, res) => {
+  const from = String(req.query.from || "").trim();
+  const to = String(req.query.to || "").trim();
+  if (!from || !to) return res.status(400).json({ error: "Missing from/to trendRunId" });
+
+  try {
+    const [a, b] = await Promise.all([loadRunResults(from), loadRunResults(to)]);
+    const missing = [!a && from, !b && to].filter(Boolean);
+    if (missing.length) return res.status(404).json({ error: "No stored results for run", missing });
+    if (a.projectId !== b.projectId) {
+      return res.status(400).json({ error: "Runs belong to different projects", from: a.projectId, to: b.projectId });
+    }
+
+    const limit = Math.max(1, Math.min(500, Number(req.query.limit || 50)));
+    res.json({ ok: true, ...diffRunResults(a, b, { limit }) });
+  } catch (e) {
+    console.error("❌ /runs/diff failed:", e?.message || e);
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---- Scan request resolution ----
+// Turns a /scan body into the resolved niches/regions/scan mode/windowHours the pipeline runs with.
+// Returns { error } for invalid requests.
+function resolveScanRequest(body) {
   const {
     trendRunId,
     projectId,
@@ -723,7 +823,11 @@ app.post("/scan", requireAuth, async (req, res) => {
     watchlist,
     // Optional: persisted X snapshot from previous run (Base44 TrendRuns.runNotes)
     xPrevSnapshot,
-  } = req.body || {};
+    // Optional: "remote" | "local" (defaults to TOPICS_MODE)
+    topicsMode: topicsModeRaw,
+    // Optional: YouTube discovery "search" | "chart" | "auto" (defaults to YOUTUBE_DISCOVERY_MODE)
+    youtubeMode: youtubeModeRaw,
+  } = body || {};
 
   // Multi-select support (Base44 can send niches/regions arrays)
   const nicheList = Array.isArray(niches)
@@ -773,19 +877,14 @@ app.post("/scan", requireAuth, async (req, res) => {
     .filter((q) => q.length >= 4);
 
 
-  const regionCodeFrom = (r) => {
-    const s = String(r || "").trim();
-    if (/^[A-Z]{2}$/i.test(s)) return s.toUpperCase();
-    return "";
-  };
-  
-    // 🔍 DEBUG WATCHLIST CONTENT
-  console.log("📋 watchlist received:", !!watchlist);
-  console.log("watchlist.channels count:", watchlist?.channels?.length || 0);
-  console.log("watchlist.keywords count:", watchlist?.keywords?.length || 0);
+  if (!trendRunId) return { error: "Missing trendRunId" };
+  if (!projectId) return { error: "Missing projectId" };
 
-  if (!trendRunId) return res.status(400).send("Missing trendRunId");
-  if (!projectId) return res.status(400).send("Missing projectId");
+  const topicsMode = topicsModeRaw ? String(topicsModeRaw).toLowerCase().trim() : TOPICS_MODE;
+  if (!TOPICS_MODES.has(topicsMode)) return { error: `Invalid topicsMode (expected "remote" or "local")` };
+
+  const youtubeMode = youtubeModeRaw ? String(youtubeModeRaw).toLowerCase().trim() : YOUTUBE_DISCOVERY_MODE;
+  if (!YOUTUBE_MODES.has(youtubeMode)) return { error: `Invalid youtubeMode (expected "search", "chart" or "auto")` };
 
   // ✅ Decide scan mode EARLY (so collectors can use it safely)
   const hasWatchlist = !!(
@@ -838,528 +937,1250 @@ console.log("🕒 windowHours resolved:", {
   windowHours,
 });
 
-  // Respond immediately (async job style)
-  res.json({ ok: true });
+  return {
+    trendRunId,
+    projectId,
+    nicheName,
+    platforms,
+    watchlist,
+    xPrevSnapshot,
+    NICHES,
+    REGIONS,
+    NEWS_QUERIES,
+    hasWatchlist,
+    isGlobalProject,
+    STRICT_PROJECT_SCAN,
+    windowHours,
+    topicsMode,
+    youtubeMode,
+  };
+}
 
-  try {
-    console.log("✅ SCAN PIPELINE (YT + NEWS) running");
-    console.log("🧭 scanMode:", STRICT_PROJECT_SCAN ? "PROJECT_STRICT" : "GLOBAL_DISCOVERY", {
+// ---- Scan plan ----
+// Everything a scan would fetch, resolved up front (also served by POST /scan/plan).
+// Collectors read their combos/feeds from here so the plan and the real scan never drift.
+const YT_MAX_COMBOS = 8;
+const YT_MAX_RESULTS = 10;
+const YT_MAX_CHART_COMBOS = 12;
+const YT_CHART_MAX_RESULTS = 50;
+const YT_WATCHLIST_MAX_REGIONS = 4;
+const YT_WATCHLIST_MAX_PER_SOURCE = 5;
+const MAX_GDELT_COMBOS = 12;
+const RSS_MAX_FEEDS = 8;
+const RSS_MAX_PER_FEED = 4;
+const X_MAX_REGIONS = 6;
+const REDDIT_MAX_QUERIES = 6;
+const REDDIT_MAX_SUBREDDITS = 6;
+const REDDIT_MAX_POPULAR_REGIONS = 3;
+const REDDIT_MAX_PER_LISTING = 10;
+const HN_MAX_QUERIES = 6;
+const HN_MAX_PER_QUERY = 15;
+const MASTODON_MAX_INSTANCES = 5;
+const MASTODON_TRENDS_LIMIT = 20;
+const BLUESKY_MAX_QUERIES = 6;
+const BLUESKY_MAX_PER_QUERY = 25;
+const GITHUB_MAX_QUERIES = 4; // 2 searches each; unauthenticated search allows 10/min
+const GITHUB_MAX_PER_QUERY = 10;
+const GITHUB_CREATED_DAYS = 30;
+const GITHUB_MIN_STARS = 20;
+const PODCAST_MAX_COUNTRIES = 3;
+const PODCAST_CHART_LIMIT = 50;
+const PODCAST_MAX_QUERIES = 4;
+const PODCAST_MAX_PER_QUERY = 15;
+const PODCAST_EPISODE_MIN_WINDOW_HOURS = 168; // shows publish weekly; a 24h window finds almost nothing
+
+function buildScanPlan(scan) {
+  const {
+    nicheName,
+    platforms,
+    watchlist,
+    NICHES,
+    REGIONS,
+    NEWS_QUERIES,
+    hasWatchlist,
+    isGlobalProject,
+    STRICT_PROJECT_SCAN,
+    windowHours,
+  } = scan;
+
+  const requested = normalizeRequestedPlatforms(platforms);
+  const wantsYouTube = requested.includes("youtube");
+  const wantsNews = requested.includes("news");
+
+  // YouTube niche x region combos (capped for quota safety)
+  const ytCombos = [];
+  for (const n of NICHES) for (const r of REGIONS) ytCombos.push({ niche: n, region: r, regionCode: regionCodeFrom(r) });
+
+  // Chart mode ("auto" = chart for discovery, search for strict project scans):
+  // one mostPopular call per region x category, niches grouped by their category.
+  const ytMode = scan.youtubeMode === "chart" || (scan.youtubeMode !== "search" && !STRICT_PROJECT_SCAN) ? "chart" : "search";
+  const nichesByCategory = new Map();
+  for (const n of NICHES) {
+    const categoryId = youtubeCategoryForNiche(n);
+    if (!nichesByCategory.has(categoryId)) nichesByCategory.set(categoryId, []);
+    nichesByCategory.get(categoryId).push(n);
+  }
+  const ytChartCombos = [];
+  for (const r of REGIONS) {
+    for (const [categoryId, niches] of nichesByCategory) {
+      ytChartCombos.push({ region: r, regionCode: regionCodeFrom(r), categoryId, niches });
+    }
+  }
+
+  const wlChannels = (watchlist?.channels || []).filter((c) => c && c.enabled !== false).length;
+  const wlKeywords = (watchlist?.keywords || []).filter((k) => k && k.enabled !== false).length;
+  const youtubeWatchlist = wantsYouTube && hasWatchlist
+    ? {
+        regions: REGIONS.slice(0, YT_WATCHLIST_MAX_REGIONS).map((r) => ({ region: r, regionCode: regionCodeFrom(r) })),
+        channels: wlChannels,
+        keywords: wlKeywords,
+        frequency: watchlist?.frequency || null,
+        maxPerChannel: Math.min(watchlist?.maxPerChannel || 10, YT_WATCHLIST_MAX_PER_SOURCE),
+        maxPerKeyword: Math.min(watchlist?.maxPerKeyword || 10, YT_WATCHLIST_MAX_PER_SOURCE),
+      }
+    : null;
+
+  // GDELT query x region combos
+  const gdeltCombos = [];
+  for (const n of NEWS_QUERIES) for (const r of REGIONS) gdeltCombos.push({ query: n, region: r });
+
+  // RSS: Google News search feeds for strict project scans, curated regional feeds otherwise
+  const useGoogleNews = STRICT_PROJECT_SCAN && NEWS_QUERIES.length > 0;
+  const rssFeeds = useGoogleNews
+    ? buildGoogleNewsRssFeeds(NEWS_QUERIES, { hl: "en-US", gl: "US", ceid: "US:en", limit: 12, windowHours })
+    : getRssFeedsForRegions(REGIONS);
+
+  // Community platforms search the niches + watchlist keywords (not for the global project)
+  const communityQueries = isGlobalProject
+    ? []
+    : uniqueStrings([
+        ...NICHES,
+        ...(watchlist?.keywords || []).filter((k) => k && k.enabled !== false).map((k) => k.query),
+      ]);
+
+  // Reddit: keyword search, watchlist subreddits, r/popular for discovery scans
+  const wantsReddit = requested.includes("reddit");
+  const redditSubreddits = uniqueStrings(
+    (watchlist?.subreddits || [])
+      .filter((s) => s && s.enabled !== false)
+      .map((s) => (typeof s === "string" ? s : s.name))
+  );
+  const redditPopular = uniqueStrings(REGIONS.map(regionCodeFrom)).filter(Boolean).slice(0, REDDIT_MAX_POPULAR_REGIONS);
+
+  // Hacker News: keyword search; front page + newest for discovery scans
+  const wantsHackerNews = requested.includes("hackernews");
+
+  // Mastodon: trending links/statuses as items; trending tags also feed X term matching
+  const wantsMastodon = requested.includes("mastodon");
+  const mastodonInstances = DEFAULT_MASTODON_INSTANCES.slice(0, MASTODON_MAX_INSTANCES);
+
+  // Bluesky: post search per niche/watchlist keyword inside the scan window
+  const wantsBluesky = requested.includes("bluesky");
+
+  // GitHub: repos created / pushed recently per niche keyword, sorted by stars
+  const wantsGitHub = requested.includes("github");
+
+  // Podcasts: Apple top charts per region country + episode search per niche
+  const wantsPodcasts = requested.includes("podcast");
+  const podcastCountries = uniqueStrings(REGIONS.map(regionCodeFrom)).filter(Boolean).slice(0, PODCAST_MAX_COUNTRIES);
+
+  // Social term momentum sources for the "x" stage (either one is enough)
+  const X_ENABLED = process.env.X_TRENDS_ENABLED !== "false";
+  // Fediverse tags: opt-in (env), or whenever the scan already asks for Mastodon
+  const MASTODON_SIGNAL_ENABLED = process.env.MASTODON_SIGNAL_ENABLED === "true" || wantsMastodon;
+  const xRegions = uniqueStrings(REGIONS.map(regionCodeFrom)).filter(Boolean).slice(0, X_MAX_REGIONS);
+  const xSources = [
+    ...(X_ENABLED && xRegions.length ? ["trends24"] : []),
+    ...(MASTODON_SIGNAL_ENABLED && mastodonInstances.length ? ["mastodon"] : []),
+  ];
+
+  const isChart = ytMode === "chart";
+  const youtube = {
+    enabled: wantsYouTube,
+    mode: ytMode,
+    combos: wantsYouTube && !isChart ? ytCombos.slice(0, YT_MAX_COMBOS) : [],
+    totalCombos: wantsYouTube && !isChart ? ytCombos.length : 0,
+    maxCombos: YT_MAX_COMBOS,
+    maxResults: YT_MAX_RESULTS,
+    chartCombos: wantsYouTube && isChart ? ytChartCombos.slice(0, YT_MAX_CHART_COMBOS) : [],
+    totalChartCombos: wantsYouTube && isChart ? ytChartCombos.length : 0,
+    maxChartCombos: YT_MAX_CHART_COMBOS,
+    chartMaxResults: YT_CHART_MAX_RESULTS,
+    watchlist: youtubeWatchlist,
+    cacheOnly: false,
+  };
+  // "search" scans (the default) may lose combos but never switch to the chart
+  const youtubeBudget = fitYouTubeToQuota(youtube, {
+    chartCombos: ytChartCombos,
+    allowChart: scan.youtubeMode !== "search",
+  });
+
+  return {
+    scanMode: STRICT_PROJECT_SCAN ? "PROJECT_STRICT" : "GLOBAL_DISCOVERY",
+    isGlobalProject: !!isGlobalProject,
+    requested,
+    niches: NICHES,
+    regions: REGIONS,
+    newsQueries: NEWS_QUERIES,
+    windowHours,
+    youtube,
+    gdelt: {
+      enabled: wantsNews,
+      combos: wantsNews ? gdeltCombos.slice(0, MAX_GDELT_COMBOS) : [],
+      totalCombos: wantsNews ? gdeltCombos.length : 0,
+      maxCombos: MAX_GDELT_COMBOS,
+    },
+    rss: {
+      enabled: wantsNews,
+      source: useGoogleNews ? "google_news" : "region_feeds",
+      feeds: wantsNews ? rssFeeds.slice(0, RSS_MAX_FEEDS) : [],
+      totalFeeds: wantsNews ? rssFeeds.length : 0,
+      maxFeeds: RSS_MAX_FEEDS,
+      maxPerFeed: RSS_MAX_PER_FEED,
+      nicheName: NEWS_QUERIES.join(" OR ") || nicheName,
+    },
+    reddit: {
+      enabled: wantsReddit,
+      queries: wantsReddit ? communityQueries.slice(0, REDDIT_MAX_QUERIES) : [],
+      subreddits: wantsReddit ? redditSubreddits.slice(0, REDDIT_MAX_SUBREDDITS) : [],
+      // Discovery scans only; "" = worldwide r/popular
+      popularRegions: wantsReddit && !STRICT_PROJECT_SCAN ? (redditPopular.length ? redditPopular : [""]) : [],
+      maxPerListing: REDDIT_MAX_PER_LISTING,
+      timeRange: windowHours <= 24 ? "day" : "week",
+    },
+    hackernews: {
+      enabled: wantsHackerNews,
+      queries: wantsHackerNews ? communityQueries.slice(0, HN_MAX_QUERIES) : [],
+      listings: wantsHackerNews && !STRICT_PROJECT_SCAN ? ["front_page", "new"] : [],
+      maxPerQuery: HN_MAX_PER_QUERY,
       windowHours,
-      hasWatchlist,
-    });
+    },
+    mastodon: {
+      enabled: wantsMastodon,
+      instances: wantsMastodon ? mastodonInstances : [],
+      limit: MASTODON_TRENDS_LIMIT,
+    },
+    bluesky: {
+      enabled: wantsBluesky,
+      queries: wantsBluesky ? communityQueries.slice(0, BLUESKY_MAX_QUERIES) : [],
+      maxPerQuery: BLUESKY_MAX_PER_QUERY,
+      windowHours,
+    },
+    github: {
+      enabled: wantsGitHub,
+      queries: wantsGitHub ? communityQueries.slice(0, GITHUB_MAX_QUERIES) : [],
+      createdDays: GITHUB_CREATED_DAYS,
+      pushedDays: Math.max(1, Math.ceil(windowHours / 24)),
+      minStars: GITHUB_MIN_STARS,
+      maxPerQuery: GITHUB_MAX_PER_QUERY,
+    },
+    podcast: {
+      enabled: wantsPodcasts,
+      countries: wantsPodcasts ? (podcastCountries.length ? podcastCountries : ["US"]) : [],
+      queries: wantsPodcasts ? communityQueries.slice(0, PODCAST_MAX_QUERIES) : [],
+      chartLimit: PODCAST_CHART_LIMIT,
+      maxPerQuery: PODCAST_MAX_PER_QUERY,
+      episodeWindowHours: Math.max(windowHours, PODCAST_EPISODE_MIN_WINDOW_HOURS),
+    },
+    x: {
+      enabled: STRICT_PROJECT_SCAN && xSources.length > 0,
+      sources: xSources,
+      regions: xSources.includes("trends24") ? xRegions : [],
+      fediverseInstances: xSources.includes("mastodon") ? mastodonInstances : [],
+    },
+    googleTrends: { enabled: process.env.GOOGLE_TRENDS_ENABLED === "true" },
+    wikipedia: { enabled: process.env.WIKIPEDIA_SIGNAL_ENABLED === "true" },
+    youtubeQuota: estimateYouTubeQuota(youtube),
+    youtubeBudget,
+    topics: { mode: scan.topicsMode, sink: sink.name },
+  };
+}
 
+// Upper bound: cache hits (10 min TTL per instance) cost nothing.
+function estimateYouTubeQuota(youtube) {
+  if (youtube.enabled && youtube.cacheOnly) {
+    return { units: 0, searchCalls: 0, videosCalls: 0, playlistCalls: 0, note: "cache-only (over daily quota budget)" };
+  }
+  if (!youtube.enabled) {
+    return { units: 0, searchCalls: 0, videosCalls: 0, playlistCalls: 0, note: "youtube not requested" };
+  }
 
-    const requested = normalizeRequestedPlatforms(platforms);
-    console.log("✅ Requested (normalized):", requested);
+  // Trends: one search.list + one videos.list batch (<= 50 ids) per combo.
+  // Chart mode: a single videos.list?chart=mostPopular per region/category combo.
+  let searchCalls = youtube.combos.length;
+  let videosCalls = youtube.combos.length * Math.ceil(youtube.maxResults / 50) + (youtube.chartCombos?.length || 0);
+
+  // Watchlist: one search.list per keyword per region, plus stats batches.
+  // Channels read their uploads playlist once per scan (region-independent, cached);
+  // the channel Atom feed fallback costs nothing.
+  let playlistCalls = 0;
+  const wl = youtube.watchlist;
+  if (wl) {
+    const perRegionIds = wl.channels * wl.maxPerChannel + wl.keywords * wl.maxPerKeyword;
+    searchCalls += wl.regions.length * wl.keywords;
+    videosCalls += wl.regions.length * Math.ceil(perRegionIds / 50);
+    playlistCalls += wl.channels;
+  }
 
-    // 1) Collect
-    let rawItems = [];
+  return {
+    units:
+      searchCalls * YT_QUOTA_COST["search.list"] +
+      videosCalls * YT_QUOTA_COST["videos.list"] +
+      playlistCalls * YT_QUOTA_COST["playlistItems.list"],
+    searchCalls,
+    videosCalls,
+    playlistCalls,
+    costs: YT_QUOTA_COST,
+    note: "upper bound; cached calls cost 0",
+  };
+}
 
-    if (requested.includes("youtube")) {
-      try {
-        console.log("▶ running youtube collector (multi-niche/region)");
-
-        // Safety caps to protect quota: keep total combos reasonable.
-        const MAX_COMBOS = 8;
-        const combos = [];
-        for (const n of NICHES) {
-          for (const r of REGIONS) {
-            combos.push({ n, r });
-          }
-        }
+// Shrink the YouTube plan until its projected spend fits today's remaining quota
+// (youtubeQuota.js): search -> chart mode, one watchlist region, fewer combos, then
+// cache-only. Mutates `youtube`; returns what was decided for the plan/scan results.
+function fitYouTubeToQuota(youtube, { chartCombos = [], allowChart = true } = {}) {
+  const { budget, remaining, resetsAt } = getYouTubeQuotaStatus();
+  const report = { budget, remaining, resetsAt, projected: 0, decision: "none", downgrades: [] };
+  if (!youtube.enabled) return report;
+
+  const fits = () => estimateYouTubeQuota(youtube).units <= remaining;
+
+  if (!fits() && youtube.mode === "search" && allowChart && chartCombos.length) {
+    youtube.mode = "chart";
+    youtube.combos = [];
+    youtube.totalCombos = 0;
+    youtube.chartCombos = chartCombos.slice(0, youtube.maxChartCombos);
+    youtube.totalChartCombos = chartCombos.length;
+    report.downgrades.push("chart_mode");
+  }
 
-        const slicedCombos = combos.slice(0, MAX_COMBOS);
-        if (combos.length > slicedCombos.length) {
-          console.log(
-            `⚠️ too many niche/region combos (${combos.length}); capping to ${slicedCombos.length} for quota safety`
-          );
+  if (!fits() && youtube.watchlist?.regions.length > 1) {
+    youtube.watchlist = { ...youtube.watchlist, regions: youtube.watchlist.regions.slice(0, 1) };
+    report.downgrades.push("watchlist_one_region");
+  }
+
+  const combosBefore = youtube.combos.length + youtube.chartCombos.length;
+  while (!fits() && youtube.combos.length > 1) youtube.combos = youtube.combos.slice(0, -1);
+  while (!fits() && youtube.chartCombos.length > 1) youtube.chartCombos = youtube.chartCombos.slice(0, -1);
+  if (youtube.combos.length + youtube.chartCombos.length < combosBefore) report.downgrades.push("fewer_combos");
+
+  if (!fits()) {
+    youtube.cacheOnly = true;
+    report.decision = "cache_only";
+  } else {
+    report.decision = report.downgrades.length ? "downgraded" : "full";
+  }
+  report.projected = estimateYouTubeQuota(youtube).units;
+  return report;
+}
+
+// Plan budget decision + today's counter after the scan (scan results, previews).
+function youtubeQuotaReport(plan) {
+  const { decision, downgrades, projected } = plan.youtubeBudget || {};
+  return { decision: decision || "none", downgrades: downgrades || [], projected: projected ?? 0, ...getYouTubeQuotaStatus() };
+}
+
+// ---- Scan stage: collect ----
+// Runs the requested collectors and returns their raw (un-normalized) items.
+// Collector failures become job warnings; only cancellation propagates.
+// opts.archive: run archive recorder (archive/runArchive.js) for raw collector output;
+// opts.preview: dry run (collectors that keep delta state read it without advancing it)
+async function collectScanItems(job, scan, plan, { archive = null, preview = false } = {}) {
+  const { projectId, watchlist, windowHours } = scan;
+  const { requested } = plan;
+  const signal = job.signal;
+
+  // 1) Collect
+  enterStage(job, "collect", { requested });
+  let rawItems = [];
+
+  if (requested.includes("youtube")) {
+    try {
+      console.log("▶ running youtube collector (multi-niche/region)");
+
+      const budget = plan.youtubeBudget;
+      if (budget?.decision === "cache_only") {
+        addWarning(job, `youtube quota budget exhausted: cache-only until ${budget.resetsAt}`, budget);
+      } else if (budget?.downgrades?.length) {
+        addWarning(job, `youtube plan downgraded for quota budget: ${budget.downgrades.join(", ")}`, budget);
+      }
+      const cacheOnly = !!plan.youtube.cacheOnly;
+
+      // Safety caps to protect quota: combos are already capped by buildScanPlan.
+      const { combos, totalCombos } = plan.youtube;
+      if (totalCombos > combos.length) {
+        console.log(
+          `⚠️ too many niche/region combos (${totalCombos}); capping to ${combos.length} for quota safety`
+        );
+      }
+
+      // Chart mode: mostPopular per region/category, filtered against the niches locally
+      for (const { region: r, regionCode, categoryId, niches } of plan.youtube.chartCombos || []) {
+        throwIfScanCancelled(job);
+        const params = { niches, region: r, regionCode, categoryId, maxResults: plan.youtube.chartMaxResults };
+        try {
+          const chartItems = await collectYouTubeChart({ ...params, cacheOnly, signal });
+          archive?.record("youtube_chart", params, chartItems || []);
+          console.log("📈 yt chart items (niche-filtered):", chartItems?.length ?? 0, { region: r, categoryId: categoryId || "all" });
+          rawItems.push(...(chartItems || []));
+        } catch (e) {
+          if (isScanCancelled(job)) throw e;
+          archive?.recordError("youtube_chart", params, e);
+          // One failing chart must not cost the remaining charts, search combos or the watchlist
+          const msg = e?.message || String(e);
+          console.error(`⚠️ YouTube chart failed (continuing): region="${r}" category="${categoryId || "all"}" ->`, msg.slice(0, 240));
+          addWarning(job, `youtube chart failed: region="${r}" category="${categoryId || "all"}"`, msg.slice(0, 240));
         }
+      }
 
-        for (const { n, r } of slicedCombos) {
-          const regionCode = /^[A-Z]{2}$/i.test(r) ? r.toUpperCase() : "";
+      for (const { niche: n, region: r, regionCode } of combos) {
+        throwIfScanCancelled(job);
+        const params = { niche: n, region: r, regionCode, maxResults: plan.youtube.maxResults };
+        try {
           const ytItems = await collectYouTubeTrends({
             nicheName: n,
             region: r,
             regionCode,
-            maxResults: 10, // 🔽 reduce to save quota
+            maxResults: plan.youtube.maxResults, // 🔽 reduce to save quota
+            cacheOnly,
+            signal,
           });
+          archive?.record("youtube", params, ytItems || []);
           console.log("🎥 ytItems raw count:", ytItems?.length ?? 0, { niche: n, region: r });
           rawItems.push(...(ytItems || []));
+        } catch (e) {
+          if (isScanCancelled(job)) throw e;
+          archive?.recordError("youtube", params, e);
+          // Same as charts: one failing combo must not cost the remaining combos or the watchlist
+          const msg = e?.message || String(e);
+          console.error(`⚠️ YouTube search failed (continuing): niche="${n}" region="${r}" ->`, msg.slice(0, 240));
+          addWarning(job, `youtube search failed: niche="${n}" region="${r}"`, msg.slice(0, 240));
         }
+      }
 
-        if (watchlist && (watchlist.channels?.length || watchlist.keywords?.length)) {
-          try {
-            console.log("▶ running youtube watchlist collector");
-            // Watchlist runs per-region (keywords/channels are user-defined).
-            // Keep it capped for quota safety.
-            const wlRegions = REGIONS.slice(0, 4);
-            for (const r of wlRegions) {
-              const regionCode = /^[A-Z]{2}$/i.test(r) ? r.toUpperCase() : "";
-              const wlItems = await collectYouTubeWatchlist({
-                watchlist,
-                region: r,
-                regionCode,
+      if (plan.youtube.watchlist) {
+        try {
+          console.log("▶ running youtube watchlist collector");
+          // Watchlist runs per-region (keywords/channels are user-defined).
+          // Keep it capped for quota safety.
+          const wl = plan.youtube.watchlist;
+          for (const { region: r, regionCode } of wl.regions) {
+            throwIfScanCancelled(job);
+            const params = { region: r, regionCode, windowHours };
+            const wlItems = await collectYouTubeWatchlist({
+              watchlist,
+              region: r,
+              regionCode,
               windowHours,
-              maxPerChannel: Math.min(watchlist?.maxPerChannel || 10, 5), // 🔽 reduce
-              maxPerKeyword: Math.min(watchlist?.maxPerKeyword || 10, 5), // 🔽 reduce
-              });
-              console.log("📌 watchlist items raw count:", wlItems?.length ?? 0, { region: r });
-              rawItems.push(...(wlItems || []));
-            }
-          } catch (e) {
-            console.error("⚠️ YouTube watchlist collector failed (continuing):", e?.message || e);
+              maxPerChannel: wl.maxPerChannel, // 🔽 reduce
+              maxPerKeyword: wl.maxPerKeyword, // 🔽 reduce
+              cacheOnly,
+              signal,
+            }).catch((e) => {
+              if (!isScanCancelled(job)) archive?.recordError("youtube_watchlist", params, e);
+              throw e;
+            });
+            archive?.record("youtube_watchlist", params, wlItems || []);
+            console.log("📌 watchlist items raw count:", wlItems?.length ?? 0, { region: r });
+            rawItems.push(...(wlItems || []));
           }
+        } catch (e) {
+          if (isScanCancelled(job)) throw e;
+          console.error("⚠️ YouTube watchlist collector failed (continuing):", e?.message || e);
+          addWarning(job, `youtube watchlist collector failed: ${e?.message || e}`);
         }
-      } catch (e) {
-        console.error("⚠️ YouTube collector failed (continuing with other platforms):", e?.message || e);
       }
+    } catch (e) {
+      if (isScanCancelled(job)) throw e;
+      console.error("⚠️ YouTube collector failed (continuing with other platforms):", e?.message || e);
+      addWarning(job, `youtube collector failed: ${e?.message || e}`);
     }
+  }
 
-    if (requested.includes("news")) {
-      console.log("▶ running news collectors (GDELT + RSS)");
-      // Pull GDELT per-niche and per-region so regional filters apply.
-      const gdeltItems = [];
-      const MAX_GDELT_COMBOS = 12;
-      const combos = [];
-      for (const n of NEWS_QUERIES) for (const r of REGIONS) combos.push({ n, r });
-      for (const { n, r } of combos.slice(0, MAX_GDELT_COMBOS)) {
-        try {
-          const part = await withDeadline(
-            collectGdelt({ nicheName: n, region: r, max: 25 }),
-            12_000,
-            'gdelt:${n}:${r}'
-          );
-          gdeltItems.push(...(part || []));
-        } catch (e) {
-          // GDELT occasionally replies with 200 + plain text (non-JSON) or a throttling message.
-          // We treat that as best-effort and keep the scan running so RSS still works.
-          const msg = e?.message || String(e);
-          console.error(`⚠️ GDELT failed (continuing): niche="${n}" region="${r}" ->`, msg.slice(0, 240));
-        }
-      }
-            let rssItems = [];
+  if (requested.includes("news")) {
+    console.log("▶ running news collectors (GDELT + RSS)");
+    // Pull GDELT per-niche and per-region so regional filters apply.
+    const gdeltItems = [];
+    for (const { query: n, region: r } of plan.gdelt.combos) {
+      throwIfScanCancelled(job);
       try {
-        const rssFeeds =
-          STRICT_PROJECT_SCAN && NEWS_QUERIES.length
-            ? buildGoogleNewsRssFeeds(NEWS_QUERIES, { hl: "en-US", gl: "US", ceid: "US:en", limit: 12, windowHours })
-            : getRssFeedsForRegions(REGIONS);
-
-        if (STRICT_PROJECT_SCAN && NEWS_QUERIES.length) {
-          console.log("📰 Using Google News RSS feeds (Project Scan):", rssFeeds.length);
-        }
-
-        rssItems = await withDeadline(
-          collectRss({
-            feeds: rssFeeds.slice(0, 8),     // hard cap feeds
-            nicheName: NEWS_QUERIES.join(" OR ") || nicheName,
-            maxPerFeed: 4,                   // smaller per-feed pull
-            timeoutMs: 30_000,                // per-feed abort (some feeds are slow)
-          }),
-          35_000,
-          "rss"
+        const part = await withDeadline(
+          collectGdelt({ nicheName: n, region: r, max: 25, signal }),
+          12_000,
+          'gdelt:${n}:${r}'
         );
+        archive?.record("gdelt", { query: n, region: r, max: 25 }, part || []);
+        gdeltItems.push(...(part || []));
       } catch (e) {
-        console.error("⚠️ RSS collector failed (continuing):", e?.message || e);
-        rssItems = [];
+        archive?.recordError("gdelt", { query: n, region: r, max: 25 }, e);
+        // GDELT occasionally replies with 200 + plain text (non-JSON) or a throttling message.
+        // We treat that as best-effort and keep the scan running so RSS still works.
+        const msg = e?.message || String(e);
+        console.error(`⚠️ GDELT failed (continuing): niche="${n}" region="${r}" ->`, msg.slice(0, 240));
+        addWarning(job, `gdelt failed: niche="${n}" region="${r}"`, msg.slice(0, 240));
+      }
+    }
+          let rssItems = [];
+    try {
+      if (plan.rss.source === "google_news") {
+        console.log("📰 Using Google News RSS feeds (Project Scan):", plan.rss.totalFeeds);
       }
 
-      rawItems.push(...(gdeltItems || []), ...(rssItems || []));
+      rssItems = await withDeadline(
+        collectRss({
+          feeds: plan.rss.feeds,           // hard cap feeds (buildScanPlan)
+          nicheName: plan.rss.nicheName,
+          maxPerFeed: plan.rss.maxPerFeed, // smaller per-feed pull
+          timeoutMs: 30_000,                // per-feed abort (some feeds are slow)
+          signal,
+        }),
+        35_000,
+        "rss"
+      );
+      archive?.record("rss", { feeds: plan.rss.feeds, nicheName: plan.rss.nicheName }, rssItems || []);
+    } catch (e) {
+      if (isScanCancelled(job)) throw e;
+      archive?.recordError("rss", { feeds: plan.rss.feeds, nicheName: plan.rss.nicheName }, e);
+      console.error("⚠️ RSS collector failed (continuing):", e?.message || e);
+      addWarning(job, `rss collector failed: ${e?.message || e}`);
+      rssItems = [];
+    }
+
+    rawItems.push(...(gdeltItems || []), ...(rssItems || []));
+
+  }
+
+  if (requested.includes("reddit")) {
+    throwIfScanCancelled(job);
+    const { queries, subreddits, popularRegions, maxPerListing, timeRange } = plan.reddit;
+    const params = { queries, subreddits, popularRegions, maxPerListing, timeRange };
+    try {
+      console.log("▶ running reddit collector", { queries: queries.length, subreddits: subreddits.length, popularRegions });
+      const redditItems = await withDeadline(collectReddit({ ...params, signal }), 45_000, "reddit");
+      archive?.record("reddit", params, redditItems || []);
+      console.log("👽 reddit items raw count:", redditItems?.length ?? 0);
+      rawItems.push(...(redditItems || []));
+    } catch (e) {
+      if (isScanCancelled(job)) throw e;
+      archive?.recordError("reddit", params, e);
+      console.error("⚠️ Reddit collector failed (continuing):", e?.message || e);
+      addWarning(job, `reddit collector failed: ${e?.message || e}`);
+    }
+  }
+
+  if (requested.includes("hackernews")) {
+    throwIfScanCancelled(job);
+    const { queries, listings, maxPerQuery } = plan.hackernews;
+    const params = { queries, listings, maxPerQuery, windowHours: plan.hackernews.windowHours };
+    try {
+      console.log("▶ running hacker news collector", { queries: queries.length, listings });
+      const hnItems = await withDeadline(collectHackerNews({ ...params, signal }), 45_000, "hackernews");
+      archive?.record("hackernews", params, hnItems || []);
+      console.log("🟧 hacker news items raw count:", hnItems?.length ?? 0);
+      rawItems.push(...(hnItems || []));
+    } catch (e) {
+      if (isScanCancelled(job)) throw e;
+      archive?.recordError("hackernews", params, e);
+      console.error("⚠️ Hacker News collector failed (continuing):", e?.message || e);
+      addWarning(job, `hacker news collector failed: ${e?.message || e}`);
+    }
+  }
 
+  if (requested.includes("mastodon")) {
+    throwIfScanCancelled(job);
+    const params = { instances: plan.mastodon.instances, limit: plan.mastodon.limit };
+    try {
+      console.log("▶ running mastodon collector", { instances: params.instances });
+      const fediItems = await withDeadline(collectMastodon({ ...params, signal }), 45_000, "mastodon");
+      archive?.record("mastodon", params, fediItems || []);
+      console.log("🐘 mastodon items raw count:", fediItems?.length ?? 0);
+      rawItems.push(...(fediItems || []));
+    } catch (e) {
+      if (isScanCancelled(job)) throw e;
+      archive?.recordError("mastodon", params, e);
+      console.error("⚠️ Mastodon collector failed (continuing):", e?.message || e);
+      addWarning(job, `mastodon collector failed: ${e?.message || e}`);
     }
+  }
 
-    // 2) Normalize (NO scoring yet)
-    let items = rawItems.map((raw) => {
-      const originalPlatform = safePlatform(raw.platform || raw.source || raw.provider);
-      const normalized = normalizeTrendItem(raw);
+  if (requested.includes("bluesky")) {
+    throwIfScanCancelled(job);
+    const { queries, maxPerQuery } = plan.bluesky;
+    const params = { queries, maxPerQuery, windowHours: plan.bluesky.windowHours };
+    try {
+      console.log("▶ running bluesky collector", { queries: queries.length });
+      const bskyItems = await withDeadline(collectBluesky({ ...params, signal }), 45_000, "bluesky");
+      archive?.record("bluesky", params, bskyItems || []);
+      console.log("🦋 bluesky items raw count:", bskyItems?.length ?? 0);
+      rawItems.push(...(bskyItems || []));
+    } catch (e) {
+      if (isScanCancelled(job)) throw e;
+      archive?.recordError("bluesky", params, e);
+      console.error("⚠️ Bluesky collector failed (continuing):", e?.message || e);
+      addWarning(job, `bluesky collector failed: ${e?.message || e}`);
+    }
+  }
 
-      const platform = safePlatform(normalized.platform || originalPlatform || "unknown");
-      const sourceUrl = safeUrlFrom(raw, normalized);
+  if (requested.includes("github")) {
+    throwIfScanCancelled(job);
+    const { queries, createdDays, pushedDays, minStars, maxPerQuery } = plan.github;
+    const params = { queries, projectId, createdDays, pushedDays, minStars, maxPerQuery };
+    try {
+      console.log("▶ running github collector", { queries: queries.length });
+      // Previews read the star snapshot but don't advance it
+      const ghItems = await withDeadline(collectGitHub({ ...params, trackStars: !preview, signal }), 45_000, "github");
+      archive?.record("github", params, ghItems || []);
+      console.log("⭐ github items raw count:", ghItems?.length ?? 0);
+      rawItems.push(...(ghItems || []));
+    } catch (e) {
+      if (isScanCancelled(job)) throw e;
+      archive?.recordError("github", params, e);
+      console.error("⚠️ GitHub collector failed (continuing):", e?.message || e);
+      addWarning(job, `github collector failed: ${e?.message || e}`);
+    }
+  }
 
-      return { ...normalized, platform, sourceUrl };
-    });
+  if (requested.includes("podcast")) {
+    throwIfScanCancelled(job);
+    const { countries, queries, chartLimit, maxPerQuery, episodeWindowHours } = plan.podcast;
+    const params = { countries, queries, chartLimit, maxPerQuery, episodeWindowHours };
+    try {
+      console.log("▶ running podcast collector", { countries, queries: queries.length });
+      // Previews read the chart snapshot but don't advance it
+      const podItems = await withDeadline(collectPodcasts({ ...params, trackRanks: !preview, signal }), 45_000, "podcast");
+      archive?.record("podcast", params, podItems || []);
+      console.log("🎙️ podcast items raw count:", podItems?.length ?? 0);
+      rawItems.push(...(podItems || []));
+    } catch (e) {
+      if (isScanCancelled(job)) throw e;
+      archive?.recordError("podcast", params, e);
+      console.error("⚠️ Podcast collector failed (continuing):", e?.message || e);
+      addWarning(job, `podcast collector failed: ${e?.message || e}`);
+    }
+  }
 
-    console.log("🧪 normalized items count:", items.length);
-    console.log("🧪 normalized sample:", items[0]);
-
-    const platformCountsBefore = items.reduce((a, it) => {
-      const p = safePlatform(it.platform);
-      a[p] = (a[p] || 0) + 1;
-      return a;
-    }, {});
-    console.log("📊 platformCounts BEFORE dedupe:", platformCountsBefore);
-
-    // 3) Dedupe BEFORE scoring/trends
-    items = dedupeByPlatformAndUrl(items);
-
-    if (STRICT_PROJECT_SCAN) {
-      const gateItem = buildProjectGate({
-        niches: NICHES,
-        newsQueries: NEWS_QUERIES,
-        watchlist,
-        regions: REGIONS,
-        windowHours,
-      });
+  setStageCounts(job, "collect", { rawItems: rawItems.length, byPlatform: countByPlatform(rawItems) });
 
-      const before = items.length;
-      let droppedStale = 0;
-      let droppedNoMatch = 0;
-      let droppedRegion = 0;
+  return rawItems;
+}
 
-      items = items.filter((it) => {
-        const verdict = gateItem(it);
-        // attach for downstream topic gating/debug (persisted via metricsJson)
-        it.metrics = (it.metrics && typeof it.metrics === "object") ? it.metrics : {};
-        it.metrics.projectMatch = {
-          strict: true,
-          pass: !!verdict.pass,
-          score: Number(verdict.score || 0),
-          reasons: verdict.reasons || [],
-          matched: verdict.matched || [],
-        };
+// ---- Scan stage: normalize -> dedupe -> gate -> trends -> X -> score -> enrich -> store pool ----
+// opts.preview: dry run (no X fetch, so preview scans don't advance the X delta cache); opts.archive: recorder for post-collect calls;
+// opts.replay: archive replayer, answers Google Trends/X/enrichment from recorded output.
+async function prepareScanItems(job, scan, plan, rawItems, { preview = false, archive = null, replay = null } = {}) {
+  const { projectId, watchlist, xPrevSnapshot, NICHES, REGIONS, NEWS_QUERIES, STRICT_PROJECT_SCAN, windowHours } = scan;
+  const { requested } = plan;
+  const signal = job.signal;
+  const gateRejected = [];
+  const collectRejected = preview || !!replay;
+
+  // External calls after collection go through these so runs can be archived and replayed.
+  const fetchTrends = async (params) => {
+    if (replay) return replay.lookup("google_trends", params);
+    const gt = await fetchGoogleTrendsSignal(params);
+    archive?.record("google_trends", params, gt);
+    return gt;
+  };
+  const fetchWikipedia = async (params) => {
+    if (replay) return replay.lookup("wikipedia", params);
+    const wp = await fetchWikipediaSignal({ ...params, signal });
+    archive?.record("wikipedia", params, wp);
+    return wp;
+  };
 
-        if (!verdict.pass) {
-          const rs = verdict.reasons || [];
-          if (rs.includes("missing_or_invalid_publishedAt") || rs.includes("stale_over_windowHours")) droppedStale++;
-          else if (rs.includes("region_mismatch_or_unknown")) droppedRegion++;
-          else droppedNoMatch++;
-        }
-        return !!verdict.pass;
-      });
+  // 2) Normalize (NO scoring yet)
+  throwIfScanCancelled(job);
+  enterStage(job, "normalize");
+  let items = rawItems.map((raw) => {
+    const originalPlatform = safePlatform(raw.platform || raw.source || raw.provider);
+    const normalized = normalizeTrendItem(raw);
 
-      console.log(
-        "🧹 STRICT project gate applied:",
-        { before, after: items.length, droppedStale, droppedRegion, droppedNoMatch, windowHours }
-      );
-    } else {
-      // discovery/global scan: still persist a light marker for transparency
-      for (const it of items) {
-        it.metrics = (it.metrics && typeof it.metrics === "object") ? it.metrics : {};
-        it.metrics.projectMatch = { strict: false, pass: true, score: 0.25, reasons: ["global_scan"], matched: [] };
+    const platform = safePlatform(normalized.platform || originalPlatform || "unknown");
+    const sourceUrl = safeUrlFrom(raw, normalized);
+
+    return { ...normalized, platform, sourceUrl };
+  });
+
+  console.log("🧪 normalized items count:", items.length);
+  console.log("🧪 normalized sample:", items[0]);
+
+  const platformCountsBefore = countByPlatform(items);
+  console.log("📊 platformCounts BEFORE dedupe:", platformCountsBefore);
+  emitScanEvent(job, "platform_counts", { phase: "before_dedupe", counts: platformCountsBefore });
+  setStageCounts(job, "normalize", { items: items.length, byPlatform: platformCountsBefore });
+
+  // 3) Dedupe BEFORE scoring/trends
+  enterStage(job, "dedupe", { before: items.length });
+  items = dedupeByPlatformAndUrl(items);
+  setStageCounts(job, "dedupe", { after: items.length });
+
+  enterStage(job, "gate", { before: items.length, strict: STRICT_PROJECT_SCAN });
+  if (STRICT_PROJECT_SCAN) {
+    const gateItem = buildProjectGate({
+      niches: NICHES,
+      newsQueries: NEWS_QUERIES,
+      watchlist,
+      regions: REGIONS,
+      windowHours,
+    });
+
+    const before = items.length;
+    let droppedStale = 0;
+    let droppedNoMatch = 0;
+    let droppedRegion = 0;
+
+    items = items.filter((it) => {
+      const verdict = gateItem(it);
+      // attach for downstream topic gating/debug (persisted via metricsJson)
+      it.metrics = (it.metrics && typeof it.metrics === "object") ? it.metrics : {};
+      it.metrics.projectMatch = {
+        strict: true,
+        pass: !!verdict.pass,
+        score: Number(verdict.score || 0),
+        reasons: verdict.reasons || [],
+        matched: verdict.matched || [],
+      };
+
+      if (!verdict.pass) {
+        if (collectRejected) {
+          gateRejected.push({
+            platform: it.platform,
+            topicTitle: it.topicTitle,
+            sourceUrl: it.sourceUrl,
+            publishedAt: it.publishedAt,
+            projectMatch: it.metrics.projectMatch,
+          });
+        }
+        const rs = verdict.reasons || [];
+        if (rs.includes("missing_or_invalid_publishedAt") || rs.includes("stale_over_windowHours")) droppedStale++;
+        else if (rs.includes("region_mismatch_or_unknown")) droppedRegion++;
+        else droppedNoMatch++;
       }
+      return !!verdict.pass;
+    });
+
+    console.log(
+      "🧹 STRICT project gate applied:",
+      { before, after: items.length, droppedStale, droppedRegion, droppedNoMatch, windowHours }
+    );
+    setStageCounts(job, "gate", { droppedStale, droppedRegion, droppedNoMatch });
+    emitScanEvent(job, "strict_gate", {
+      before,
+      after: items.length,
+      droppedStale,
+      droppedRegion,
+      droppedNoMatch,
+      windowHours,
+    });
+  } else {
+    // discovery/global scan: still persist a light marker for transparency
+    for (const it of items) {
+      it.metrics = (it.metrics && typeof it.metrics === "object") ? it.metrics : {};
+      it.metrics.projectMatch = { strict: false, pass: true, score: 0.25, reasons: ["global_scan"], matched: [] };
     }
+  }
 
-    const platformCountsAfter = items.reduce((a, it) => {
-      const p = safePlatform(it.platform);
-      a[p] = (a[p] || 0) + 1;
-      return a;
-    }, {});
-    console.log("📊 platformCounts AFTER dedupe:", platformCountsAfter);
-
-    // 4) Optional: Google Trends on a small subset.
-    // IMPORTANT: pick candidates deterministically.
-    // Since we don’t have comparable trendScore yet, use recency as a rough prefilter:
-    // scoreItemsComparable will later incorporate googleTrends.score01.
-    const TRENDS_ENABLED = process.env.GOOGLE_TRENDS_ENABLED === "true";
-    if (TRENDS_ENABLED) {
-      // pre-pick the newest items (fast + more relevant)
-      const candidates = items
-        .slice()
-        .sort((a, b) => {
-          const ta = new Date(a.publishedAt || 0).getTime();
-          const tb = new Date(b.publishedAt || 0).getTime();
-          return (tb || 0) - (ta || 0);
-        })
-        .slice(0, 10);
-
-      const regionIso2 = uniq(REGIONS.map(regionCodeFrom)).filter(Boolean);
-      const trendGeos = STRICT_PROJECT_SCAN ? regionIso2.slice(0, 3) : [];
-
-      await Promise.allSettled(
-        candidates.map(async (it) => {
-          const query = pickTrendsQuery(it);
-          if (!query) return;
-
-          // Global signal (worldwide)
-          const gt = await fetchGoogleTrendsSignal({
-            query,
-            geo: "",
-            timeRange: "now 7-d",
-          });
+  const platformCountsAfter = countByPlatform(items);
+  console.log("📊 platformCounts AFTER dedupe:", platformCountsAfter);
+  emitScanEvent(job, "platform_counts", { phase: "after_dedupe", counts: platformCountsAfter });
+  setStageCounts(job, "gate", { after: items.length, byPlatform: platformCountsAfter });
+
+  // 4) Optional: Google Trends on a small subset.
+  // IMPORTANT: pick candidates deterministically.
+  // Since we don’t have comparable trendScore yet, use recency as a rough prefilter:
+  // scoreItemsComparable will later incorporate googleTrends.score01 (and wikipediaSignal.score01, 4A).
+  // pre-pick the newest items (fast + more relevant)
+  const candidates = items
+    .slice()
+    .sort((a, b) => {
+      const ta = new Date(a.publishedAt || 0).getTime();
+      const tb = new Date(b.publishedAt || 0).getTime();
+      return (tb || 0) - (ta || 0);
+    })
+    .slice(0, 10);
+
+  const TRENDS_ENABLED = process.env.GOOGLE_TRENDS_ENABLED === "true";
+  if (!TRENDS_ENABLED) skipStage(job, "trends", "GOOGLE_TRENDS_ENABLED!=true");
+  if (TRENDS_ENABLED) {
+    enterStage(job, "trends");
+
+    const regionIso2 = uniqueStrings(REGIONS.map(regionCodeFrom)).filter(Boolean);
+    const trendGeos = STRICT_PROJECT_SCAN ? regionIso2.slice(0, 3) : [];
+
+    await Promise.allSettled(
+      candidates.map(async (it) => {
+        const query = pickTrendsQuery(it);
+        if (!query) return;
+
+        // Global signal (worldwide)
+        if (isScanCancelled(job)) return;
+        const gt = await fetchTrends({
+          query,
+          geo: "",
+          timeRange: "now 7-d",
+        });
 
-          // Optional geo spread: how many selected regions show notable interest
-          let geoSpreadCount = 0;
-          let perGeoLatest = {};
-          if (gt?.ok && trendGeos.length) {
-            const settled = await Promise.allSettled(
-              trendGeos.map(async (geo) => {
-                const g = await fetchGoogleTrendsSignal({ query, geo, timeRange: "now 7-d" });
-                return { geo, g };
-              })
-            );
-            for (const s of settled) {
-              if (s.status !== "fulfilled") continue;
-              const { geo, g } = s.value;
-              if (g?.ok) {
-                perGeoLatest[geo] = Number(g.latest || 0);
-                if (Number(g.latest || 0) >= 10) geoSpreadCount += 1;
-              }
+        // Optional geo spread: how many selected regions show notable interest
+        let geoSpreadCount = 0;
+        let perGeoLatest = {};
+        if (gt?.ok && trendGeos.length) {
+          const settled = await Promise.allSettled(
+            trendGeos.map(async (geo) => {
+              const g = await fetchTrends({ query, geo, timeRange: "now 7-d" });
+              return { geo, g };
+            })
+          );
+          for (const s of settled) {
+            if (s.status !== "fulfilled") continue;
+            const { geo, g } = s.value;
+            if (g?.ok) {
+              perGeoLatest[geo] = Number(g.latest || 0);
+              if (Number(g.latest || 0) >= 10) geoSpreadCount += 1;
             }
           }
+        }
 
-          it.metrics = (it.metrics && typeof it.metrics === "object") ? it.metrics : {};
-          it.metrics.googleTrends = {
-            ok: !!gt?.ok,
-            query,
-            latest: Number(gt?.latest || 0),
-            delta1: Number(gt?.delta1 || 0), // lightweight interestDelta24h proxy
-            score01: Number(gt?.score01 || 0),
-            geoSpreadCount,
-            perGeoLatest,
-          };
-
-          it.googleTrends = gt; // kept for backward compatibility (not persisted)
-        })
-      );
-    }
+        it.metrics = (it.metrics && typeof it.metrics === "object") ? it.metrics : {};
+        it.metrics.googleTrends = {
+          ok: !!gt?.ok,
+          query,
+          latest: Number(gt?.latest || 0),
+          delta1: Number(gt?.delta1 || 0), // lightweight interestDelta24h proxy
+          score01: Number(gt?.score01 || 0),
+          geoSpreadCount,
+          perGeoLatest,
+        };
 
-    // 4B) Optional: X/Twitter (No API) signal
-    // - Project scans only (STRICT_PROJECT_SCAN)
-    // - Read-only, cached, low frequency
-    // - Injects xSignal into item.metrics (affects momentumScore only in Base44)
-    const X_ENABLED = process.env.X_TRENDS_ENABLED !== "false";
-    let xSignalSnapshot = null;
-    if (X_ENABLED && STRICT_PROJECT_SCAN) {
-      const regionIso2 = uniq(REGIONS.map(regionCodeFrom)).filter(Boolean);
-      const xRegions = regionIso2.slice(0, 6); // cap regions for safety
-
-      if (xRegions.length) {
-        try {
-          const xRows = await fetchXTrends({
-            regions: xRegions,
-            limitPerRegion: 25,
+        it.googleTrends = gt; // kept for backward compatibility (not persisted)
+      })
+    );
+    setStageCounts(job, "trends", {
+      candidates: candidates.length,
+      withSignal: items.filter((it) => it?.metrics?.googleTrends?.ok).length,
+    });
+  }
+
+  // 4A) Wikipedia pageviews: second attention confirmation (same candidates as Google Trends)
+  const WIKIPEDIA_ENABLED = process.env.WIKIPEDIA_SIGNAL_ENABLED === "true";
+  if (!WIKIPEDIA_ENABLED) skipStage(job, "wikipedia", "WIKIPEDIA_SIGNAL_ENABLED!=true");
+  throwIfScanCancelled(job);
+  if (WIKIPEDIA_ENABLED) {
+    enterStage(job, "wikipedia");
+    await Promise.allSettled(
+      candidates.map(async (it) => {
+        const query = pickTrendsQuery(it);
+        if (!query || isScanCancelled(job)) return;
+
+        const wp = await fetchWikipedia({ query, granularity: "daily" });
+        if (!wp) return;
+
+        it.metrics = (it.metrics && typeof it.metrics === "object") ? it.metrics : {};
+        it.metrics.wikipediaSignal = wp.ok
+          ? {
+              ok: true,
+              query,
+              article: wp.article,
+              url: wp.url,
+              latest: Number(wp.latest || 0),
+              baseline: Number(wp.baseline || 0),
+              spikeRatio: Number(wp.spikeRatio || 0),
+              score01: Number(wp.score01 || 0),
+            }
+          : { ok: false, query, reason: wp.reason || "" };
+      })
+    );
+    throwIfScanCancelled(job);
+    setStageCounts(job, "wikipedia", {
+      candidates: candidates.length,
+      withSignal: items.filter((it) => it?.metrics?.wikipediaSignal?.ok).length,
+    });
+  }
+
+  // 4B) Optional: social term momentum (X via trends24 + Fediverse trending tags)
+  // - Project scans only (STRICT_PROJECT_SCAN)
+  // - Read-only, cached, low frequency
+  // - Injects xSignal into item.metrics (affects momentumScore only in Base44)
+  // - Sources are independent: one failing (e.g. the trends24 scrape) keeps the other.
+  // Plans archived before Fediverse support have no x.sources.
+  const xSources = plan.x.sources || (plan.x.enabled ? ["trends24"] : []);
+  let xSignalSnapshot = null;
+  if (!plan.x.enabled || preview) {
+    skipStage(job, "x", preview ? "preview" : !STRICT_PROJECT_SCAN ? "discovery_scan" : "no_sources");
+  }
+  throwIfScanCancelled(job);
+  if (plan.x.enabled && !preview) {
+    enterStage(job, "x", { sources: xSources });
+    const xRegions = plan.x.regions; // capped for safety by buildScanPlan
+    const xRows = [];
+    const usedSources = [];
+
+    if (xSources.includes("trends24") && xRegions.length) {
+      try {
+        const xParams = { regions: xRegions, limitPerRegion: 25 };
+        const rows = replay
+          ? replay.lookup("x", xParams, [])
+          : await fetchXTrends({
+            ...xParams,
             ttlMs: 10 * 60 * 1000,
             concurrency: 2,
+            signal,
           });
+        archive?.record("x", xParams, rows);
+        xRows.push(...(rows || []));
+        usedSources.push("trends24");
+      } catch (e) {
+        if (isScanCancelled(job)) throw e;
+        console.log("⚠️ X trends fetch failed:", e?.message || e);
+        addWarning(job, `x trends fetch failed: ${e?.message || e}`);
+      }
+    }
 
-          // Build a compact snapshot for persistence across restarts.
-          // We keep only region+term+rank+volume (already capped by limitPerRegion).
-          xSignalSnapshot = {
-            v: 1,
-            ts: new Date().toISOString(),
-            source: "trends24",
-            regions: xRegions,
-            rows: xRows.map((r) => ({
-              region: String(r?.region || "").toUpperCase(),
-              term: String(r?.term || "").trim(),
-              rank: Number(r?.rank || 0),
-              volume: Number(r?.volume || 0),
-            })),
-          };
-
-          // attach lightweight xSignal to matching items (momentum-only)
-          attachXSignalsToItems({
-            items,
-            xRows,
-            projectId,
-            totalRegions: xRegions.length,
-            prevSnapshot: xPrevSnapshot,
-          });
-
-          console.log("🐦 X trends attached:", {
-            regions: xRegions,
-            rows: xRows.length,
-            itemsWithX: items.filter((it) => it?.metrics?.xSignal?.ok).length,
-          });
-        } catch (e) {
-          console.log("⚠️ X trends fetch/attach failed:", e?.message || e);
-        }
+    if (xSources.includes("mastodon")) {
+      try {
+        const fediParams = { instances: plan.x.fediverseInstances, limit: MASTODON_TRENDS_LIMIT };
+        const rows = replay
+          ? replay.lookup("mastodon_tags", fediParams, [])
+          : await fetchMastodonTagRows({ ...fediParams, signal });
+        archive?.record("mastodon_tags", fediParams, rows);
+        xRows.push(...(rows || []));
+        usedSources.push("mastodon");
+      } catch (e) {
+        if (isScanCancelled(job)) throw e;
+        console.log("⚠️ Mastodon trending tags fetch failed:", e?.message || e);
+        addWarning(job, `mastodon trending tags fetch failed: ${e?.message || e}`);
       }
     }
 
-    // 5) Comparable scoring (cross-platform)
-    scoreItemsComparable(items);
-    
-    // 🔗 INDIRECT SOCIAL PLATFORM CONFIRMATION
-    // Promote RSS socialHints + X matches into platform diversity signals
-    for (const it of items) {
-      it.metrics = it.metrics || {};
-
-      // Ensure we have deterministic social hints for *all* items, not just RSS/news.
-      // (YouTube descriptions often contain IG/TikTok links; we want badges to show.)
-      const textForHints = `${it.topicTitle || it.title || ""} ${it.topicSummary || it.summary || ""}`;
-      const inferred = detectSocialHintsFromText(textForHints);
-      const existing = (it.metrics.socialHints && typeof it.metrics.socialHints === "object")
-        ? it.metrics.socialHints
-        : {};
-      it.metrics.socialHints = { ...inferred, ...existing };
-
-      const social = it.metrics.socialHints || {};
-      const hasX = !!it.metrics.xSignal?.ok;
-
-      // Virtual platform confirmations (NO scraping, NO APIs)
-      it.metrics.indirectPlatforms = {
-        tiktok: !!social.tiktokMention,
-        instagram: !!social.instagramMention,
-        reels: !!social.reelsMention,
-        shorts: !!social.shortsMention,
-        x: hasX,
+    try {
+      // The snapshot lists FEDI next to the X regions; region_presence only counts X regions.
+      const regions = [...xRegions, ...(xRows.some((r) => r?.region === FEDI_REGION) ? [FEDI_REGION] : [])];
+
+      // Build a compact snapshot for persistence across restarts.
+      // We keep only region+term+rank+volume (already capped by limitPerRegion).
+      xSignalSnapshot = {
+        v: 1,
+        ts: new Date().toISOString(),
+        source: usedSources.join("+"),
+        regions,
+        rows: xRows.map((r) => ({
+          region: String(r?.region || "").toUpperCase(),
+          term: String(r?.term || "").trim(),
+          rank: Number(r?.rank || 0),
+          volume: Number(r?.volume || 0),
+        })),
       };
 
-      // Used later by Base44 topic aggregation
-      it.metrics.platformConfirmations = Object.values(it.metrics.indirectPlatforms)
-        .filter(Boolean).length;
-    }
+      // attach lightweight xSignal to matching items (momentum-only)
+      attachXSignalsToItems({
+        items,
+        xRows,
+        projectId,
+        totalRegions: xRegions.length,
+        prevSnapshot: xPrevSnapshot,
+        ...(replay ? { cache: new Map() } : {}),
+      });
 
-    // 6) Sort by comparable score
-    items.sort((a, b) => (b.trendScore ?? 0) - (a.trendScore ?? 0));
-
-    const topCounts = items.slice(0, 20).reduce((a, it) => {
-      const p = safePlatform(it.platform);
-      a[p] = (a[p] || 0) + 1;
-      return a;
-    }, {});
-    console.log("🏆 platformCounts in top 20 after scoring:", topCounts);
-
-    // 6B) News enrichment pass (NO scraping, no API keys)
-    // If strict gating leaves you with mostly YouTube (common when RSS feeds block/403),
-    // we pull additional *fresh* Google News RSS search feeds seeded from the top items.
-    // This increases source diversity without loosening the niche/watchlist gate.
-    const newsCountAfter = Number(platformCountsAfter?.news || 0);
-    const ytCountAfter = Number(platformCountsAfter?.youtube || 0);
-    const SHOULD_ENRICH_NEWS = requested.includes("news") && ytCountAfter > 0 && newsCountAfter < 4;
-
-    if (SHOULD_ENRICH_NEWS) {
-      try {
-        const seeds = items.filter((it) => safePlatform(it.platform) === "youtube").slice(0, 10);
-        const probeQueries = buildProbeQueriesFromItems(seeds, { limit: 10, addTikTok: true, addInstagram: true });
-        if (probeQueries.length) {
-          const probeFeeds = buildGoogleNewsRssFeeds(probeQueries, { hl: "en-US", gl: "US", ceid: "US:en", limit: 12, windowHours });
-          console.log("🧲 Enriching news via Google News RSS (seeded):", { probes: probeQueries.length, feeds: probeFeeds.length });
-
-          const extraRss = await collectRss({
-            feeds: probeFeeds,
-            nicheName: probeQueries.join(" OR "),
-            maxPerFeed: 5,
-          });
+      const itemsWithX = items.filter((it) => it?.metrics?.xSignal?.ok).length;
+      console.log("🐦 Social term signals attached:", {
+        sources: usedSources,
+        regions,
+        rows: xRows.length,
+        itemsWithX,
+      });
+      setStageCounts(job, "x", { sources: usedSources, regions: regions.length, rows: xRows.length, itemsWithX });
+      emitScanEvent(job, "x_attached", { sources: usedSources, regions, rows: xRows.length, itemsWithX });
+    } catch (e) {
+      if (isScanCancelled(job)) throw e;
+      console.log("⚠️ X signal attach failed:", e?.message || e);
+      addWarning(job, `x signal attach failed: ${e?.message || e}`);
+    }
+  }
 
-          const extraNormalized = (extraRss || []).map((raw) => {
-            const normalized = normalizeTrendItem(raw);
-            const platform = safePlatform(normalized.platform || raw.platform || "news");
-            const sourceUrl = safeUrlFrom(raw, normalized);
-            return { ...normalized, platform, sourceUrl };
-          });
+  // 5) Comparable scoring (cross-platform)
+  enterStage(job, "score", { items: items.length });
+  scoreItemsComparable(items);
+  
+  // 🔗 INDIRECT SOCIAL PLATFORM CONFIRMATION
+  // Promote RSS socialHints + X matches into platform diversity signals
+  for (const it of items) {
+    it.metrics = it.metrics || {};
+
+    // Ensure we have deterministic social hints for *all* items, not just RSS/news.
+    // (YouTube descriptions often contain IG/TikTok links; we want badges to show.)
+    const textForHints = `${it.topicTitle || it.title || ""} ${it.topicSummary || it.summary || ""}`;
+    const inferred = detectSocialHintsFromText(textForHints);
+    const existing = (it.metrics.socialHints && typeof it.metrics.socialHints === "object")
+      ? it.metrics.socialHints
+      : {};
+    it.metrics.socialHints = { ...inferred, ...existing };
+
+    const social = it.metrics.socialHints || {};
+    const hasX = !!it.metrics.xSignal?.ok;
+
+    // Virtual platform confirmations (NO scraping, NO APIs)
+    // (a YouTube item detected as a Short from its duration/#shorts counts as Shorts presence)
+    it.metrics.indirectPlatforms = {
+      tiktok: !!social.tiktokMention,
+      instagram: !!social.instagramMention,
+      reels: !!social.reelsMention,
+      shorts: !!social.shortsMention || !!it.metrics.isShort,
+      bluesky: !!social.blueskyMention,
+      x: hasX,
+    };
 
-          if (extraNormalized.length) {
-            const beforeAdd = items.length;
-            items.push(...extraNormalized);
-            items = dedupeByPlatformAndUrl(items);
-
-            // Re-apply strict project gate so we don't pollute topics.
-            if (STRICT_PROJECT_SCAN) {
-              const gateItem = buildProjectGate({
-                niches: NICHES,
-                newsQueries: NEWS_QUERIES,
-                watchlist,
-                regions: REGIONS,
-                windowHours,
-              });
-              items = items.filter((it) => {
-                const verdict = gateItem(it);
-                it.metrics = (it.metrics && typeof it.metrics === "object") ? it.metrics : {};
-                it.metrics.projectMatch = {
-                  strict: true,
-                  pass: !!verdict.pass,
-                  score: Number(verdict.score || 0),
-                  reasons: verdict.reasons || [],
-                  matched: verdict.matched || [],
-                };
-                return !!verdict.pass;
-              });
-            }
+    // Used later by Base44 topic aggregation
+    it.metrics.platformConfirmations = Object.values(it.metrics.indirectPlatforms)
+      .filter(Boolean).length;
+  }
 
-            // Re-score + resort after enrichment.
-            scoreItemsComparable(items);
-            items.sort((a, b) => (b.trendScore ?? 0) - (a.trendScore ?? 0));
+  // 6) Sort by comparable score
+  items.sort((a, b) => (b.trendScore ?? 0) - (a.trendScore ?? 0));
+
+  const topCounts = countByPlatform(items.slice(0, 20));
+  console.log("🏆 platformCounts in top 20 after scoring:", topCounts);
+  setStageCounts(job, "score", { top20ByPlatform: topCounts });
+
+  // 6B) News enrichment pass (NO scraping, no API keys)
+  // If strict gating leaves you with mostly YouTube (common when RSS feeds block/403),
+  // we pull additional *fresh* Google News RSS search feeds seeded from the top items.
+  // This increases source diversity without loosening the niche/watchlist gate.
+  const newsCountAfter = Number(platformCountsAfter?.news || 0);
+  const ytCountAfter = Number(platformCountsAfter?.youtube || 0);
+  const SHOULD_ENRICH_NEWS = requested.includes("news") && ytCountAfter > 0 && newsCountAfter < 4;
+
+  if (!SHOULD_ENRICH_NEWS) skipStage(job, "enrich", "not_needed");
+  throwIfScanCancelled(job);
+  if (SHOULD_ENRICH_NEWS) {
+    enterStage(job, "enrich", { before: items.length });
+    try {
+      const seeds = items.filter((it) => safePlatform(it.platform) === "youtube").slice(0, 10);
+      const probeQueries = buildProbeQueriesFromItems(seeds, { limit: 10, addTikTok: true, addInstagram: true });
+      if (probeQueries.length) {
+        const probeFeeds = buildGoogleNewsRssFeeds(probeQueries, { hl: "en-US", gl: "US", ceid: "US:en", limit: 12, windowHours });
+        console.log("🧲 Enriching news via Google News RSS (seeded):", { probes: probeQueries.length, feeds: probeFeeds.length });
+        emitScanEvent(job, "news_enrichment_started", { probes: probeQueries.length, feeds: probeFeeds.length });
+
+        const enrichParams = { feeds: probeFeeds, nicheName: probeQueries.join(" OR "), maxPerFeed: 5 };
+        const extraRss = replay
+          ? replay.lookup("rss_enrichment", enrichParams, [])
+          : await collectRss({ ...enrichParams, signal });
+        archive?.record("rss_enrichment", enrichParams, extraRss || []);
+
+        const extraNormalized = (extraRss || []).map((raw) => {
+          const normalized = normalizeTrendItem(raw);
+          const platform = safePlatform(normalized.platform || raw.platform || "news");
+          const sourceUrl = safeUrlFrom(raw, normalized);
+          return { ...normalized, platform, sourceUrl };
+        });
 
-            const countsNow = items.reduce((a, it) => {
-              const p = safePlatform(it.platform);
-              a[p] = (a[p] || 0) + 1;
-              return a;
-            }, {});
-            console.log("🧲 News enrichment complete:", { beforeAdd, after: items.length, countsNow });
+        if (extraNormalized.length) {
+          const beforeAdd = items.length;
+          items.push(...extraNormalized);
+          items = dedupeByPlatformAndUrl(items);
+
+          // Re-apply strict project gate so we don't pollute topics.
+          if (STRICT_PROJECT_SCAN) {
+            const gateItem = buildProjectGate({
+              niches: NICHES,
+              newsQueries: NEWS_QUERIES,
+              watchlist,
+              regions: REGIONS,
+              windowHours,
+            });
+            items = items.filter((it) => {
+              const verdict = gateItem(it);
+              it.metrics = (it.metrics && typeof it.metrics === "object") ? it.metrics : {};
+              it.metrics.projectMatch = {
+                strict: true,
+                pass: !!verdict.pass,
+                score: Number(verdict.score || 0),
+                reasons: verdict.reasons || [],
+                matched: verdict.matched || [],
+              };
+              return !!verdict.pass;
+            });
           }
+
+          // Re-score + resort after enrichment.
+          scoreItemsComparable(items);
+          items.sort((a, b) => (b.trendScore ?? 0) - (a.trendScore ?? 0));
+
+          const countsNow = countByPlatform(items);
+          console.log("🧲 News enrichment complete:", { beforeAdd, after: items.length, countsNow });
+          setStageCounts(job, "enrich", { added: extraNormalized.length, after: items.length, byPlatform: countsNow });
+          emitScanEvent(job, "news_enrichment", { beforeAdd, after: items.length, counts: countsNow });
         }
-      } catch (e) {
-        console.log("⚠️ News enrichment failed (continuing):", e?.message || e);
       }
+    } catch (e) {
+      if (isScanCancelled(job)) throw e;
+      console.log("⚠️ News enrichment failed (continuing):", e?.message || e);
+      addWarning(job, `news enrichment failed: ${e?.message || e}`);
     }
+  }
 
-    // 7) STORE pool (important for Base44 topic building)
-    const MAX_STORE = 60;
-    // Platform-aware balancing prevents "all YouTube" store pools when YouTube dominates scores.
-    // Applies when both platforms were requested.
-    const storeItems = (requested.includes("youtube") && requested.includes("news"))
-      ? pickBalancedStoreItems(items, { maxStore: MAX_STORE, caps: { youtube: 30, news: 30 } })
-      : items.slice(0, MAX_STORE);
+  // 7) STORE pool (important for Base44 topic building)
+  const MAX_STORE = 60;
+  // Platform-aware balancing prevents "all YouTube" store pools when YouTube dominates scores.
+  // Applies when more than one platform was requested (caps only for requested platforms).
+  const storeCaps = storeCapsFor(requested, MAX_STORE);
+  const storeItems = requested.length > 1
+    ? pickBalancedStoreItems(items, { maxStore: MAX_STORE, caps: storeCaps })
+    : items.slice(0, MAX_STORE);
 
-    console.log("✅ STORE TrendItems count:", storeItems.length);
+  console.log("✅ STORE TrendItems count:", storeItems.length);
+
+  return {
+    items,
+    storeItems,
+    xSignalSnapshot,
+    gateRejected,
+    platformCountsBefore,
+    platformCountsAfter,
+  };
+}
+
+// ---- Local topics/signals hand-off ----
+// Pushes in-process TrendTopics/TrendSignals to the sink. Sinks that cannot store them
+// (no saveTopics/saveSignals, e.g. Base44) get the rows returned on the job outcome instead.
+async function publishLocalResults(job, local, { trendRunId, projectId, signal, outcome }) {
+  const { topics, signals, items } = local.snapshot();
+  outcome.topicsBuilt = topics.length;
+  outcome.signalsBuilt = signals.length;
+
+  if (typeof sink.saveTopics !== "function" || typeof sink.saveSignals !== "function") {
+    console.log(`🧩 ${sink.name} sink cannot store local topics/signals; returning them on the job outcome`);
+    outcome.results = { topics, signals };
+    emitScanEvent(job, "local_results", { topics: topics.length, signals: signals.length, pushed: false });
+    return;
+  }
+
+  await sink.saveTopics({ trendRunId, projectId, topics, items }, { signal });
+  await sink.saveSignals({ trendRunId, projectId, signals }, { signal });
+  console.log(`✅ Local topics/signals pushed to ${sink.name}:`, { topics: topics.length, signals: signals.length });
+  emitScanEvent(job, "local_results", { topics: topics.length, signals: signals.length, pushed: true });
+}
+
+// ---- Scan pipeline ----
+// Runs collect -> ... -> angles for a registered job. Never throws: failures and
+// cancellations are recorded on the job and reported via sink.reportError.
+async function runScanPipeline(job, scan) {
+  const { trendRunId, projectId, hasWatchlist, STRICT_PROJECT_SCAN, windowHours, topicsMode } = scan;
+
+  markScanJobStarted(job);
+  const signal = job.signal;
+  let archive = null; // raw collector output, saved once the store pool is built (or on failure)
+
+  try {
+    throwIfScanCancelled(job); // cancelled while queued
+    console.log("✅ SCAN PIPELINE (YT + NEWS) running");
+    console.log("🧭 scanMode:", STRICT_PROJECT_SCAN ? "PROJECT_STRICT" : "GLOBAL_DISCOVERY", {
+      windowHours,
+      hasWatchlist,
+    });
+
+
+    const plan = buildScanPlan(scan);
+    const { requested } = plan;
+    console.log("✅ Requested (normalized):", requested);
+    archive = createRunArchive({ trendRunId, projectId, scan, plan });
+
+    // 1) Collect
+    const rawItems = await collectScanItems(job, scan, plan, { archive });
+
+    // 2..7) Normalize, dedupe, gate, score, store pool
+    const { storeItems, xSignalSnapshot, platformCountsAfter } =
+      await prepareScanItems(job, scan, plan, rawItems, { archive });
+
+    await archive.save();
+    archive = null;
 
     // 8) Ingest TrendItems (STORE pool)
-    console.log("➡️ Calling Base44 TrendItems ingest:", process.env.BASE44_INGEST_URL);
+    throwIfScanCancelled(job);
+    enterStage(job, "ingest", { storeItems: storeItems.length });
 
     let ingestResp;
     try {
-      ingestResp = await postToBase44(
-        BASE44_INGEST_URL,
+      ingestResp = await sink.ingestItems(
+        { trendRunId, projectId, items: storeItems, xSignalSnapshot },
         {
-          trendRunId,
-          projectId,
-          items: storeItems,
-          ...(xSignalSnapshot ? { xSignalSnapshot } : {}),
-                }
+          signal,
+          onChunk: ({ index, total, count }) => {
+            setStageCounts(job, "ingest", { chunksAcked: index + 1, chunksTotal: total });
+            emitScanEvent(job, "ingest_chunk", { index, total, count });
+          },
+        }
       );
-      console.log("✅ Base44 TrendItems ingest response:", ingestResp);
+      console.log(`✅ ${sink.name} TrendItems ingest response:`, ingestResp?.chunked ? {
+        chunks: ingestResp.manifest.totalChunks,
+        items: ingestResp.manifest.totalItems,
+        finalized: ingestResp.finalized,
+      } : ingestResp);
 
       // Small breather after ingest
-      await sleep(800);
+      if (sink.eventuallyConsistent) await sleep(800);
     } catch (e) {
-      // If Base44 is down/flaky, fail gracefully and mark the run error
-      throw new Error(`Base44 ingestTrendResults failed: ${e?.message || e}`);
+      if (isScanCancelled(job)) throw e;
+      // If the sink is down/flaky, fail gracefully and mark the run error
+      throw new Error(`${sink.name} ingestItems failed: ${e?.message || e}`);
     }
 
+    // Compact store pool + topics for GET /runs/diff (independent of the sink)
+    try {
+      const saved = await saveRunResults({ trendRunId, projectId, items: storeItems });
+      console.log("🗂️ Run results saved:", saved);
+    } catch (e) {
+      console.warn("⚠️ Run results save failed (continuing):", e?.message || e);
+    }
 
 
-    const storeCounts = storeItems.reduce((a, it) => {
-      const p = safePlatform(it.platform);
-      a[p] = (a[p] || 0) + 1;
-      return a;
-    }, {});
+
+    const storeCounts = countByPlatform(storeItems);
     console.log("📦 STORE platformCounts:", storeCounts);
+    setStageCounts(job, "ingest", { byPlatform: storeCounts });
+    emitScanEvent(job, "store_pool", { count: storeItems.length, counts: storeCounts });
+
+    const outcome = {
+      youtubeQuota: youtubeQuotaReport(plan),
+      storeItems: storeItems.length,
+      storeCounts,
+      platformCountsAfter,
+      topicsVisible: null,
+      summaries: null,
+      angles: null,
+    };
 
-    // 9) Build TrendTopics in Base44 from stored TrendItems
-    console.log("TOPICS build URL:", BASE44_BUILD_TOPICS_URL);
+    // 9) Build TrendTopics from stored TrendItems (in the sink, or in-process for topicsMode "local")
+    throwIfScanCancelled(job);
+    enterStage(job, "topics", { mode: topicsMode });
+    const local = topicsMode === "local" ? createLocalResults({ trendRunId, projectId, items: storeItems }) : null;
+    const results = local || sink;
+    outcome.topicsMode = topicsMode;
 try {
-  console.log("TOPICS build URL:", BASE44_BUILD_TOPICS_URL);
+  // Build topics (pure clustering/scoring, no LLM here)
+  const topicsResp = await results.buildTopics({ trendRunId, projectId, maxTopics: 60 }, { signal });
 
-  // Build topics in Base44 (pure clustering/scoring, no LLM here)
-  const topicsResp = await postToBase44(
-    BASE44_BUILD_TOPICS_URL,
-    { trendRunId, projectId, maxTopics: 60 }
-  );
-
-  console.log("✅ Base44 buildTrendTopicsFromRun response:", topicsResp);
+  console.log(`✅ ${results.name} buildTopics response:`, topicsResp);
 
-  // Ensure topics are queryable before downstream steps
-  const base44FunctionsBase = BASE44_BUILD_TOPICS_URL.split("/functions/")[0] + "/functions";
-  const visibleTopics = await waitForTopics({ trendRunId, projectId, base44FunctionsBase });
+  // Ensure topics are queryable before downstream steps (local topics are, immediately)
+  const visibleTopics = local
+    ? await local.listTopics()
+    : await waitForTopics({ trendRunId, projectId, signal });
+  outcome.topicsVisible = visibleTopics.length;
+  setStageCounts(job, "topics", { visible: visibleTopics.length });
 
-  // ---- LLM summary backfill (Render backend -> OpenAI -> Base44 update) ----
+  // ---- LLM summary backfill (Render backend -> OpenAI -> sink update) ----
   const SUMMARY_LLM_ENABLED = String(process.env.SUMMARY_LLM_ENABLED || "true") !== "false";
   const SUMMARY_LLM_MODEL = process.env.SUMMARY_LLM_MODEL || "gpt-4o-mini";
   const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
 
   if (SUMMARY_LLM_ENABLED && OPENAI_API_KEY) {
-    const base44Base = base44FunctionsBase;
-    const LIST_TOPICS_URL = `${base44Base}/listTrendTopicsByRun`;
-    const UPDATE_TOPIC_URL = `${base44Base}/updateTrendTopicSummary`;
+    enterStage(job, "summaries");
 
     const safeJsonArray = (s) => {
       try { const a = JSON.parse(s || "[]"); return Array.isArray(a) ? a : []; } catch { return []; }
     };
 
-    const listResp = await postToBase44(LIST_TOPICS_URL, { trendRunId, projectId });
-
-    const topics = Array.isArray(listResp?.topics) ? listResp.topics : [];
+    const topics = await results.listTopics({ trendRunId, projectId }, { signal });
 
     // Base44 builder guarantees a non-empty summary by applying a deterministic fallback.
     // We still want LLM backfill to improve those fallbacks, so treat them as "missing".
@@ -1412,6 +2233,7 @@ try {
             { role: "user", content: prompt },
           ],
         }),
+        signal,
       });
 
       if (!resp.ok) {
@@ -1428,53 +2250,56 @@ try {
     let skipped = 0;
 
     for (const t of toFill) {
+      throwIfScanCancelled(job);
       attempted++;
       try {
         const summary = await summarizeOne(t);
         if (!summary) { skipped++; continue; }
 
-        await postToBase44(UPDATE_TOPIC_URL, { topicId: t.id || t.topicId, summary, llmNotes: "LLM backfill (Render)" });
+        await results.updateTopicSummary(
+          { trendRunId, projectId, topicId: t.id || t.topicId, summary, llmNotes: "LLM backfill (Render)" },
+          { signal }
+        );
 
         updated++;
       } catch (e) {
+        if (isScanCancelled(job)) throw e;
         console.warn("⚠️ topic summary backfill failed:", e?.message || e);
         skipped++;
       }
     }
 
     console.log("🧠 Topic summary backfill:", { attempted, updated, skipped });
+    outcome.summaries = { attempted, updated, skipped };
+    setStageCounts(job, "summaries", outcome.summaries);
+    emitScanEvent(job, "backfill", { kind: "summaries", ...outcome.summaries });
   } else {
     console.log("🧠 Topic summary backfill skipped:", { SUMMARY_LLM_ENABLED, hasKey: Boolean(OPENAI_API_KEY) });
+    skipStage(job, "summaries", SUMMARY_LLM_ENABLED ? "missing_OPENAI_API_KEY" : "SUMMARY_LLM_ENABLED=false");
   }
 
   // ---- TrendSignal build (UI card projection) ----
   // This step bypasses Base44 Deno function redeploy issues by writing to the TrendSignal entity directly.
   // If you haven't created the TrendSignal entity yet, this will log a warning and skip.
+  throwIfScanCancelled(job);
+  enterStage(job, "signals");
   try {
-    console.log("SIGNALS build URL:", BASE44_BUILD_SIGNALS_URL);
+    const signalsResp = await results.buildSignals({ trendRunId, projectId }, { signal });
 
-    // Keep payload minimal + deterministic.
-    // Base44 function should resolve projectId from TrendRunId internally.
-    const signalsResp = await postToBase44(
-      BASE44_BUILD_SIGNALS_URL,
-      { trendRunId, projectId }
-    );
-
-    console.log("✅ Base44 buildTrendSignalsFromRun response:", signalsResp);
+    console.log(`✅ ${results.name} buildSignals response:`, signalsResp);
   } catch (e) {
+    if (isScanCancelled(job)) throw e;
     console.log("⚠️ TrendSignal build step failed (non-fatal):", e?.message || e);
+    addWarning(job, `trend signal build failed: ${e?.message || e}`);
   }
-  // ---- LLM angles backfill for TrendSignals (Render backend -> OpenAI -> Base44 update) ----
+  // ---- LLM angles backfill for TrendSignals (Render backend -> OpenAI -> sink update) ----
   const ANGLES_LLM_ENABLED = String(process.env.ANGLES_LLM_ENABLED || "true") !== "false";
   const ANGLES_LLM_MODEL = process.env.ANGLES_LLM_MODEL || "gpt-4o-mini";
   // reuse OPENAI_API_KEY from above (already in your file)
 
   if (ANGLES_LLM_ENABLED && OPENAI_API_KEY) {
+    enterStage(job, "angles");
     try {
-      const base44Base = base44FunctionsBase; // already computed earlier
-      const LIST_SIGNALS_URL = `${base44Base}/listTrendSignalsByRun`;
-      const UPDATE_SIGNAL_URL = `${base44Base}/updateTrendSignalAngles`;
-
       const safeJson = (s, fallback) => {
         try {
           const x = JSON.parse(s || "");
@@ -1494,14 +2319,13 @@ try {
         return Array.isArray(arr) && arr.length > 0;
       };
 
-      const listResp = await postToBase44(LIST_SIGNALS_URL, {
+      const signals = await results.listSignals({
         trendRunId,
         projectId,
         limit: 80,
         sort: "-scoreComposite",
-      });
+      }, { signal });
 
-      const signals = Array.isArray(listResp?.signals) ? listResp.signals : [];
       const missing = signals.filter((s) => !hasAngles(s));
 
       // Keep it bounded so scan doesn’t get slow/expensive
@@ -1552,6 +2376,7 @@ try {
               { role: "user", content: prompt },
             ],
           }),
+          signal,
         });
 
         if (!resp.ok) {
@@ -1589,61 +2414,512 @@ try {
       let skipped = 0;
 
       for (const sig of toFill) {
+        throwIfScanCancelled(job);
         attempted++;
         try {
           const angles = await generateAnglesOne(sig);
           if (!angles.length) { skipped++; continue; }
 
-          await postToBase44(UPDATE_SIGNAL_URL, {
-            id: sig.id,
-            angles, // update function accepts "angles" or "llmAnglesJson"
+          await results.updateSignalAngles({
+            trendRunId,
+            projectId,
+            id: sig.id || sig.topicId,
+            angles,
             llmAnglesStatus: "generated",
-          });
+          }, { signal });
 
           updated++;
         } catch (e) {
+          if (isScanCancelled(job)) throw e;
           console.warn("⚠️ signal angles backfill failed:", e?.message || e);
           skipped++;
         }
       }
 
       console.log("🧠 Signal angles backfill:", { attempted, updated, skipped });
+      outcome.angles = { attempted, updated, skipped };
+      setStageCounts(job, "angles", outcome.angles);
+      emitScanEvent(job, "backfill", { kind: "angles", ...outcome.angles });
     } catch (e) {
+      if (isScanCancelled(job)) throw e;
       console.warn("🧠 Signal angles backfill block failed:", e?.message || e);
+      addWarning(job, `signal angles backfill failed: ${e?.message || e}`);
     }
   } else {
     console.log("🧠 Signal angles backfill skipped:", { ANGLES_LLM_ENABLED, hasKey: Boolean(OPENAI_API_KEY) });
+    skipStage(job, "angles", ANGLES_LLM_ENABLED ? "missing_OPENAI_API_KEY" : "ANGLES_LLM_ENABLED=false");
   }
 
+  if (local) await publishLocalResults(job, local, { trendRunId, projectId, signal, outcome });
+
 } catch (e) {
-  console.error("❌ Base44 buildTrendTopicsFromRun failed (after retries):", e?.message || e);
+  if (isScanCancelled(job)) throw e;
+  console.error(`❌ ${sink.name} topics/signals phase failed:`, e?.message || e);
 
   // Optional: mark a warning somewhere (do not fail entire run)
-  // You could call BASE44_ERROR_URL with a non-fatal warning if you want
+  // You could call sink.reportError with a non-fatal warning if you want
+  addWarning(job, `topics/signals phase failed: ${e?.message || e}`);
 }
+
+    completeScanJob(job, outcome);
  } catch (err) {
-    console.error("❌ Scan pipeline failed:", err?.message || err);
+    const cancelled = isScanCancelled(job);
+    if (cancelled) {
+      console.log("🛑 Scan pipeline cancelled:", { trendRunId, stage: job.stage });
+      markScanJobCancelled(job);
+    } else {
+      console.error("❌ Scan pipeline failed:", err?.message || err);
+      failScanJob(job, err);
+    }
+
+    // Keep whatever was collected before the failure so the run can still be replayed.
+    if (archive) await archive.save();
 
-    // Best-effort error callback to Base44
+    // Best-effort error callback to the sink (not tied to the scan signal: must still go out when cancelled)
     try {
-      if (process.env.BASE44_ERROR_URL) {
-        console.log("➡️ Calling Base44 error:", process.env.BASE44_ERROR_URL);
-        const errResp = await postToBase44(process.env.BASE44_ERROR_URL, {
-          trendRunId,
-          projectId,
-          message: err?.message || String(err),
-        });
-        console.log("✅ Base44 error response:", errResp);
-      } else {
-        console.warn("⚠️ BASE44_ERROR_URL not set; cannot notify Base44 of errors.");
-      }
+      const errResp = await sink.reportError({
+        trendRunId,
+        projectId,
+        status: cancelled ? "cancelled" : "error",
+        message: cancelled ? "Scan cancelled by request" : (err?.message || String(err)),
+        ...(cancelled ? { stage: job.error?.stage || null } : {}),
+      });
+      if (errResp) console.log(`✅ ${sink.name} error response:`, errResp);
     } catch (e) {
-      console.error("❌ Failed to notify Base44 error endpoint:", e?.message || e);
+      console.error(`❌ Failed to report error to ${sink.name} sink:`, e?.message || e);
     }
   }
+}
+
+// ---- Scan plan preview ----
+// What POST /scan would do with this body, without spending any quota.
+app.post("/scan/plan", requireAuth, (req, res) => {
+  const body = req.body || {};
+  const scan = resolveScanRequest({
+    ...body,
+    trendRunId: body.trendRunId || "plan",
+    projectId: body.projectId || "plan",
+  });
+  if (scan.error) return res.status(400).json({ error: scan.error });
+
+  res.json({ ok: true, plan: buildScanPlan(scan) });
+});
+
+// ---- Scan preview (dry run) ----
+// collect -> normalize -> dedupe -> gate -> score -> store selection, returned in the response.
+// No Base44 ingest, no topic/signal builders, no LLM backfills, no X/GitHub/podcast delta cache writes.
+async function runScanPreview(job, scan) {
+  markScanJobStarted(job);
+  throwIfScanCancelled(job); // cancelled while queued
+
+  const plan = buildScanPlan(scan);
+  const { requested } = plan;
+  console.log("🔎 SCAN PREVIEW running", { requested, scanMode: job.scanMode, windowHours: scan.windowHours });
+
+  const rawItems = await collectScanItems(job, scan, plan, { preview: true });
+  const prepared = await prepareScanItems(job, scan, plan, rawItems, { preview: true });
+
+  completeScanJob(job, {
+    items: prepared.items.length,
+    storeItems: prepared.storeItems.length,
+    gateRejected: prepared.gateRejected.length,
+  });
+  return { requested, ...prepared, youtubeQuota: youtubeQuotaReport(plan) };
+}
+
+// Response body shared by /scan/preview and /admin/replay (prepared items + store selection).
+function buildPreviewReport(job, scan, result, { limit = 200 } = {}) {
+  const scanMode = scan.STRICT_PROJECT_SCAN ? "PROJECT_STRICT" : "GLOBAL_DISCOVERY";
+  const storeSet = new Set(result.storeItems);
+  return {
+    scan: {
+      scanMode,
+      requested: result.requested,
+      niches: scan.NICHES,
+      regions: scan.REGIONS,
+      newsQueries: scan.NEWS_QUERIES,
+      windowHours: scan.windowHours,
+    },
+    platformCounts: {
+      beforeDedupe: result.platformCountsBefore,
+      afterGate: result.platformCountsAfter,
+      scored: countByPlatform(result.items),
+      store: countByPlatform(result.storeItems),
+    },
+    counts: {
+      items: result.items.length,
+      storeItems: result.storeItems.length,
+      gateRejected: result.gateRejected.length,
+    },
+    // Scored items (trendScore desc) with gate verdicts in metrics.projectMatch;
+    // inStore marks the pickBalancedStoreItems selection that a real scan would ingest.
+    items: result.items.slice(0, limit).map((it) => ({ ...it, inStore: storeSet.has(it) })),
+    storeItems: result.storeItems.map((it) => ({
+      platform: it.platform,
+      topicTitle: it.topicTitle,
+      sourceUrl: it.sourceUrl,
+      trendScore: it.trendScore,
+    })),
+    gateRejected: result.gateRejected.slice(0, limit),
+    youtubeQuota: result.youtubeQuota || null,
+    stages: serializeScanJob(job).stages,
+    warnings: job.warnings,
+  };
+}
+
+app.post("/scan/preview", requireAuth, async (req, res) => {
+  const body = req.body || {};
+  const limit = Math.max(1, Math.min(500, Number(body.limit || 200)));
+
+  // trendRunId/projectId are optional for previews (nothing is persisted). Anonymous previews get
+  // their own project slot so they don't queue behind each other (one scan per project).
+  const trendRunId = body.trendRunId || `preview_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const scan = resolveScanRequest({
+    ...body,
+    trendRunId,
+    projectId: body.projectId || `preview:${trendRunId}`,
+  });
+  if (scan.error) return res.status(400).json({ error: scan.error });
+
+  const scanMode = scan.STRICT_PROJECT_SCAN ? "PROJECT_STRICT" : "GLOBAL_DISCOVERY";
+  const job = createScanJob({
+    trendRunId: scan.trendRunId,
+    projectId: scan.projectId,
+    scanMode,
+    status: "queued",
+    register: false,
+    meta: { preview: true, niches: scan.NICHES, regions: scan.REGIONS, windowHours: scan.windowHours },
+  });
+
+  // Client went away: stop spending quota on a response nobody will read.
+  res.on("close", () => {
+    if (!res.writableFinished) cancelScanJob(job, "client disconnected");
+  });
+
+  try {
+    // Previews share the global scan queue (same quota as real scans).
+    const result = await new Promise((resolve, reject) => {
+      const submitted = submitScan(
+        job,
+        () => runScanPreview(job, scan).then(resolve, reject),
+        { priority: scan.STRICT_PROJECT_SCAN ? SCAN_PRIORITY.PROJECT_STRICT : SCAN_PRIORITY.GLOBAL_DISCOVERY }
+      );
+      if (submitted.rejected) {
+        const err = new Error(submitted.reason);
+        err.status = 503;
+        reject(err);
+      }
+    });
+
+    res.json({ ok: true, preview: true, ...buildPreviewReport(job, scan, result, { limit }) });
+  } catch (e) {
+    if (isScanCancelled(job)) {
+      markScanJobCancelled(job);
+      console.log("🛑 Scan preview cancelled:", job.trendRunId);
+      if (!res.headersSent) res.status(499).json({ error: "Preview cancelled" });
+      return;
+    }
+    failScanJob(job, e);
+    console.error("❌ /scan/preview failed:", e?.message || e);
+    res.status(e?.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---- Run replay (archived collector output -> normalize -> store selection) ----
+// No collectors, Google Trends or X calls (recorded responses are reused), nothing is persisted.
+app.post("/admin/replay/:trendRunId", requireAuth, async (req, res) => {
+  const trendRunId = String(req.params.trendRunId || "");
+  const limit = Math.max(1, Math.min(500, Number(req.body?.limit || 200)));
+
+  const doc = await loadRunArchive(trendRunId);
+  if (!doc) return res.status(404).json({ error: "No archive for trendRunId" });
+
+  const { scan, plan } = doc;
+  const job = createScanJob({
+    trendRunId: `replay_${trendRunId}_${Date.now()}`,
+    projectId: doc.projectId,
+    scanMode: scan.STRICT_PROJECT_SCAN ? "PROJECT_STRICT" : "GLOBAL_DISCOVERY",
+    status: "queued",
+    register: false,
+    meta: { replay: true, replayOf: trendRunId },
+  });
+
+  try {
+    markScanJobStarted(job);
+    const replay = createArchiveReplayer(doc);
+    const rawItems = replay.rawItems();
+    console.log("⏪ Replaying archived run:", { trendRunId, rawItems: rawItems.length });
+
+    const prepared = await prepareScanItems(job, scan, plan, rawItems, { replay });
+    completeScanJob(job, {
+      items: prepared.items.length,
+      storeItems: prepared.storeItems.length,
+      gateRejected: prepared.gateRejected.length,
+    });
+
+    res.json({
+      ok: true,
+      replay: true,
+      archive: describeRunArchive(doc),
+      ...buildPreviewReport(job, scan, { requested: plan.requested, ...prepared }, { limit }),
+    });
+  } catch (e) {
+    failScanJob(job, e);
+    console.error("❌ /admin/replay failed:", e?.message || e);
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Validates, dedupes and enqueues a /scan body. Shared by POST /scan and the scheduler.
+// Returns { status, body } (HTTP status + JSON response).
+function submitScanRequest(body) {
+  const { force, scheduleId } = body || {};
+
+  const scan = resolveScanRequest(body);
+  if (scan.error) return { status: 400, body: { error: scan.error } };
+
+  const { trendRunId, projectId, NICHES, REGIONS, STRICT_PROJECT_SCAN, windowHours, hasWatchlist } = scan;
+  const statusUrl = `/scan/${encodeURIComponent(trendRunId)}`;
+
+  // Idempotency: Base44 webhook retries / double-clicks must not start a second pipeline.
+  const existing = getScanJob(trendRunId);
+  if (existing && !isScanJobFinished(existing)) {
+    console.log("♻️ Duplicate /scan for active run (returning existing job)", { trendRunId, status: existing.status });
+    return { status: 200, body: { ok: true, duplicate: true, trendRunId, statusUrl, job: serializeScanJob(existing) } };
+  }
+  if (existing && !isTruthyFlag(force)) {
+    console.log("⛔ /scan for finished run without force", { trendRunId, status: existing.status });
+    return {
+      status: 409,
+      body: {
+        error: `Scan already ${existing.status} for this trendRunId; pass force: true to re-run`,
+        trendRunId,
+        job: serializeScanJob(existing),
+      },
+    };
+  }
+
+  // One scan per project at a time: queue behind it or reject (SCAN_PROJECT_CONFLICT).
+  const activeForProject = getActiveProjectScan(projectId);
+  if (activeForProject && SCAN_PROJECT_CONFLICT === "reject") {
+    console.log("⛔ /scan rejected: project already scanning", { projectId, active: activeForProject.trendRunId });
+    return {
+      status: 409,
+      body: {
+        error: "Another scan is already running or queued for this projectId",
+        trendRunId,
+        activeTrendRunId: activeForProject.trendRunId,
+      },
+    };
+  }
+
+  // Strict project scans outrank global discovery; callers may pass an explicit numeric priority.
+  const rawPriority = body?.priority;
+  const priority = rawPriority != null && rawPriority !== "" && Number.isFinite(Number(rawPriority))
+    ? Number(rawPriority)
+    : STRICT_PROJECT_SCAN ? SCAN_PRIORITY.PROJECT_STRICT : SCAN_PRIORITY.GLOBAL_DISCOVERY;
+
+  const job = createScanJob({
+    trendRunId,
+    projectId,
+    scanMode: STRICT_PROJECT_SCAN ? "PROJECT_STRICT" : "GLOBAL_DISCOVERY",
+    status: "queued",
+    meta: {
+      niches: NICHES,
+      regions: REGIONS,
+      windowHours,
+      hasWatchlist,
+      priority,
+      forced: !!existing,
+      ...(scheduleId ? { scheduleId: String(scheduleId) } : {}),
+    },
+  });
+
+  const submitted = submitScan(job, () => runScanPipeline(job, scan), { priority });
+  if (submitted.rejected) {
+    console.log("⛔ /scan rejected:", submitted.reason, { trendRunId, projectId });
+    discardScanJob(job); // not a run outcome: a retry must not need force
+    return { status: 503, body: { error: submitted.reason, trendRunId, queue: getQueueStats() } };
+  }
+
+  // Respond immediately (async job style); progress is exposed via GET /scan/:trendRunId
+  return {
+    status: 200,
+    body: {
+      ok: true,
+      trendRunId,
+      statusUrl,
+      priority,
+      queued: submitted.queued,
+      queuePosition: submitted.position,
+      queue: getQueueStats(),
+    },
+  };
+}
+
+
+// ---- Scan ----
+app.post("/scan", requireAuth, async (req, res) => {
+  console.log("🔥🔥🔥 /scan HIT (TOP)", new Date().toISOString());
+  console.log("X-Trace-Id:", req.headers["x-trace-id"]);
+  console.log("CF-RAY:", req.headers["cf-ray"]);
+  console.log("rndr-id header will be added by Render (response)");
+  console.log("Body keys:", Object.keys(req.body || {}));
+
+  const { watchlist } = req.body || {};
+
+    // 🔍 DEBUG WATCHLIST CONTENT
+  console.log("📋 watchlist received:", !!watchlist);
+  console.log("watchlist.channels count:", watchlist?.channels?.length || 0);
+  console.log("watchlist.keywords count:", watchlist?.keywords?.length || 0);
+
+  const { status, body } = submitScanRequest(req.body);
+  if (status === 400) return res.status(400).send(body.error);
+  res.status(status).json(body);
+});
+
+// ---- Scan status (job registry) ----
+app.get("/scan/:trendRunId", requireAuth, (req, res) => {
+  const job = getScanJob(req.params.trendRunId);
+  if (!job) return res.status(404).json({ error: "Unknown trendRunId" });
+  res.json({ ...serializeScanJob(job), queuePosition: getQueuePosition(job.trendRunId) });
+});
+
+// ---- Scan cancel ----
+// Aborts collectors, LLM backfills and Base44 posts for an in-flight scan.
+// The run is reported via sink.reportError with status "cancelled".
+app.post("/scan/:trendRunId/cancel", requireAuth, (req, res) => {
+  const job = getScanJob(req.params.trendRunId);
+  if (!job) return res.status(404).json({ error: "Unknown trendRunId" });
+  if (isScanJobFinished(job)) {
+    return res.status(409).json({ error: `Scan already ${job.status}`, job: serializeScanJob(job) });
+  }
+
+  const reason = String(req.body?.reason || "").slice(0, 200);
+  console.log("🛑 Cancel requested", { trendRunId: job.trendRunId, stage: job.stage, reason });
+  cancelScanJob(job, reason);
+  res.status(202).json({ ok: true, job: serializeScanJob(job) });
+});
+
+// ---- Scan events (Server-Sent Events) ----
+// Replays the job's event log (honoring Last-Event-ID), then streams live events
+// until the job finishes or the client disconnects.
+app.get("/scan/:trendRunId/events", requireAuth, (req, res) => {
+  const job = getScanJob(req.params.trendRunId);
+  if (!job) return res.status(404).json({ error: "Unknown trendRunId" });
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  const writeEvent = (evt) => {
+    res.write(`id: ${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`);
+  };
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15_000);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const lastEventId = req.headers["last-event-id"] || req.query.lastEventId || 0;
+  for (const evt of getScanEvents(job, lastEventId)) writeEvent(evt);
+
+  if (isScanJobFinished(job)) return close();
+
+  unsubscribe = subscribeScanEvents(job.trendRunId, (evt) => {
+    writeEvent(evt);
+    if (isScanJobFinished(job)) close();
+  });
+
+  req.on("close", close);
+});
+
+// ---- Schedules (recurring project scans) ----
+// Each schedule fires POST /scan's logic with its stored payload and a fresh trendRunId.
+function sendScheduleError(res, e, label) {
+  if (e?.status === 400) return res.status(400).json({ error: e.message, code: e.code });
+  console.error(`❌ ${label} failed:`, e?.message || e);
+  res.status(500).json({ error: e?.message || String(e) });
+}
+
+app.get("/schedules", requireAuth, async (req, res) => {
+  try {
+    const schedules = await listSchedules({ projectId: req.query.projectId });
+    res.json({ ok: true, schedules });
+  } catch (e) {
+    sendScheduleError(res, e, "GET /schedules");
+  }
+});
+
+app.post("/schedules", requireAuth, async (req, res) => {
+  try {
+    const schedule = await createSchedule(req.body || {});
+    console.log("🗓️ Schedule created", { id: schedule.id, projectId: schedule.projectId, cron: schedule.cron });
+    res.status(201).json({ ok: true, schedule });
+  } catch (e) {
+    sendScheduleError(res, e, "POST /schedules");
+  }
+});
+
+app.get("/schedules/:id", requireAuth, async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.id);
+    if (!schedule) return res.status(404).json({ error: "Unknown schedule" });
+    res.json({ ok: true, schedule });
+  } catch (e) {
+    sendScheduleError(res, e, "GET /schedules/:id");
+  }
+});
+
+app.patch("/schedules/:id", requireAuth, async (req, res) => {
+  try {
+    const schedule = await updateSchedule(req.params.id, req.body || {});
+    if (!schedule) return res.status(404).json({ error: "Unknown schedule" });
+    res.json({ ok: true, schedule });
+  } catch (e) {
+    sendScheduleError(res, e, "PATCH /schedules/:id");
+  }
+});
+
+app.delete("/schedules/:id", requireAuth, async (req, res) => {
+  try {
+    const deleted = await deleteSchedule(req.params.id);
+    if (!deleted) return res.status(404).json({ error: "Unknown schedule" });
+    res.json({ ok: true, deleted: true });
+  } catch (e) {
+    sendScheduleError(res, e, "DELETE /schedules/:id");
+  }
+});
+
+// Fire now (skipped while the schedule's previous run is still active).
+app.post("/schedules/:id/run", requireAuth, async (req, res) => {
+  try {
+    const result = await runScheduleNow(req.params.id);
+    if (!result) return res.status(404).json({ error: "Unknown schedule" });
+    res.status(result.skipped ? 409 : result.status || 200).json({ ok: !result.skipped && !!result.submitted, ...result });
+  } catch (e) {
+    sendScheduleError(res, e, "POST /schedules/:id/run");
+  }
 });
 
 const PORT = process.env.PORT || 10000;
 app.listen(PORT, () => {
   console.log(`TrendForge Trend Service running on port ${PORT}`);
+
+  loadYouTubeQuota().catch((e) => console.error("❌ YouTube quota counter failed to load:", e?.message || e));
+
+  startScanScheduler({
+    trigger: async (body) => submitScanRequest(body),
+    timer: SCHEDULER_ENABLED,
+  }).catch((e) => console.error("❌ Scan scheduler failed to start:", e?.message || e));
 });
@@ -1,5 +1,7 @@
 // signals/buildTrendSignals.js
 // Builds UI-optimized TrendSignal rows from TrendTopics + TrendItems for a given run.
+// - buildTrendSignals: pure projection (no I/O), used by the in-process topics mode.
+// - buildTrendSignalsForRun: loads topics/items from Base44 first.
 // Assumes the Base44 entity "TrendSignal" exists (create it in Base44 using your schema).
 
 function clamp01(x) {
@@ -39,13 +41,10 @@ function engagementRate01({ viewsSum = 0, engagementSum = 0 } = {}) {
   return clamp01(e / v);
 }
 
+// Single platform with evidence -> that platform; several (or none) -> "mixed".
 function pickPrimaryPlatform(platformCounts = {}) {
-  const yt = Number(platformCounts.youtube || 0);
-  const news = Number(platformCounts.news || 0);
-  if (yt > 0 && news > 0) return "mixed";
-  if (yt > 0) return "youtube";
-  if (news > 0) return "news";
-  return "mixed";
+  const present = Object.keys(platformCounts).filter((p) => p !== "unknown" && Number(platformCounts[p] || 0) > 0);
+  return present.length === 1 ? present[0] : "mixed";
 }
 
 function scoreComposite01({ topicScore = 0, momentumScore = 0, freshnessScore = 0, saturationPenalty = 0, sourceDiversity = 0, platformDiversity = 1 }) {
@@ -78,11 +77,18 @@ function scoreMomentum01({ momentumScore = 0, accel24h = 0, growth24h = 0, satur
   return clamp01(0.50 * mom01 + 0.20 * accel01 + 0.15 * growth01 + 0.10 * plat01 - 0.20 * sat01);
 }
 
-function buildBadges({ primaryPlatform, saturationLevel, momentumScore, freshnessScore, youtubeMetrics, newsMetrics }) {
+function buildBadges({
+  primaryPlatform,
+  saturationLevel,
+  momentumScore,
+  freshnessScore,
+  youtubeMetrics,
+  newsMetrics,
+  redditMetrics,
+  hackernewsMetrics,
+}) {
   const badges = [];
-  if (primaryPlatform === "mixed") badges.push("mixed");
-  if (primaryPlatform === "youtube") badges.push("youtube");
-  if (primaryPlatform === "news") badges.push("news");
+  if (primaryPlatform) badges.push(primaryPlatform);
   if (saturationLevel) badges.push(`${saturationLevel} saturation`);
 
   const mom = Number(momentumScore) || 0;
@@ -95,8 +101,21 @@ function buildBadges({ primaryPlatform, saturationLevel, momentumScore, freshnes
   const vel = Number(youtubeMetrics?.velocitySum || 0);
   if (vel > 0) badges.push("yt velocity");
 
+  // Format badges: only when the format dominates the topic's videos
+  const ytCount = Number(youtubeMetrics?.relatedVideosCount || 0);
+  const shorts = Number(youtubeMetrics?.shortsCount || 0);
+  if (Number(youtubeMetrics?.liveCount || 0) > 0) badges.push("live now");
+  if (shorts >= 2 && shorts * 2 >= ytCount) badges.push("shorts");
+  else if (ytCount >= 2 && Number(youtubeMetrics?.longFormCount || 0) * 2 >= ytCount) badges.push("long-form");
+
   const articles = Number(newsMetrics?.articleCount || 0);
   if (articles >= 5) badges.push("news coverage");
+
+  const threadComments = Number(redditMetrics?.commentsSum || 0);
+  if (threadComments >= 100) badges.push("reddit buzz");
+
+  const hnPoints = Number(hackernewsMetrics?.pointsSum || 0);
+  if (hnPoints >= 100) badges.push("dev buzz");
   return badges.slice(0, 8);
 }
 
@@ -140,6 +159,19 @@ export async function buildTrendSignalsForRun({ base44, trendRunId, projectId })
   );
   const items = itemsRes?.items ?? itemsRes ?? [];
 
+  return buildTrendSignals({ trendRunId, projectId, topics, items });
+}
+
+/**
+ * Project TrendTopics (+ their TrendItems, matched by topicId) into TrendSignal rows.
+ *
+ * @param {object} params
+ * @param {string} params.trendRunId
+ * @param {string} params.projectId
+ * @param {Array<Object>} params.topics
+ * @param {Array<Object>} params.items
+ */
+export function buildTrendSignals({ trendRunId, projectId, topics = [], items = [] }) {
   const byTopicId = new Map();
   for (const it of items) {
     const tid = String(it.topicId || "");
@@ -155,11 +187,16 @@ export async function buildTrendSignalsForRun({ base44, trendRunId, projectId })
 
     const youtubeSignals = parseJson(t.youtubeSignalsJson, {}) || {};
     const newsSignals = parseJson(t.newsSignalsJson, {}) || {};
+    const redditSignals = parseJson(t.redditSignalsJson, {}) || {};
+    const hackernewsSignals = parseJson(t.hackernewsSignalsJson, {}) || {};
 
     const youtubeMetrics = {
       velocitySum: Number(youtubeSignals.velocitySum || youtubeSignals.velocity || 0),
       viewsSum: Number(youtubeSignals.viewsSum || youtubeSignals.views || 0),
       engagementSum: Number(youtubeSignals.engagementSum || youtubeSignals.engagement || 0),
+      shortsCount: Number(youtubeSignals.shortsCount || 0),
+      liveCount: Number(youtubeSignals.liveCount || 0),
+      longFormCount: Number(youtubeSignals.formatCounts?.long || 0),
     };
     youtubeMetrics.engagementRate = engagementRate01({
       viewsSum: youtubeMetrics.viewsSum,
@@ -179,6 +216,18 @@ export async function buildTrendSignalsForRun({ base44, trendRunId, projectId })
       },
     };
 
+    const redditMetrics = {
+      postCount: Number(redditSignals.postCount || platformCounts.reddit || 0),
+      scoreSum: Number(redditSignals.scoreSum || 0),
+      commentsSum: Number(redditSignals.commentsSum || 0),
+      subredditCount: Number(redditSignals.subredditCount || 0),
+    };
+    const hackernewsMetrics = {
+      storyCount: Number(hackernewsSignals.storyCount || platformCounts.hackernews || 0),
+      pointsSum: Number(hackernewsSignals.pointsSum || 0),
+      commentsSum: Number(hackernewsSignals.commentsSum || 0),
+    };
+
     const platformDiversity = platforms.length || 1;
     const primaryPlatform = pickPrimaryPlatform(platformCounts);
     const saturationLevel = saturationLevelFromPenalty(t.saturationPenalty);
@@ -209,10 +258,12 @@ export async function buildTrendSignalsForRun({ base44, trendRunId, projectId })
     const evidence = {
       youtubeTop: topEvidenceByPlatform(evidenceItems, "youtube", 3),
       newsTop: topEvidenceByPlatform(evidenceItems, "news", 3),
+      redditTop: topEvidenceByPlatform(evidenceItems, "reddit", 3),
+      hackernewsTop: topEvidenceByPlatform(evidenceItems, "hackernews", 3),
     };
 
     const topUrls = [];
-    for (const r of [...evidence.youtubeTop, ...evidence.newsTop]) {
+    for (const r of Object.values(evidence).flat()) {
       if (r?.url) topUrls.push(r.url);
     }
 
@@ -223,6 +274,8 @@ export async function buildTrendSignalsForRun({ base44, trendRunId, projectId })
       freshnessScore: t.freshnessScore,
       youtubeMetrics,
       newsMetrics,
+      redditMetrics,
+      hackernewsMetrics,
     });
 
     return {
@@ -253,6 +306,8 @@ export async function buildTrendSignalsForRun({ base44, trendRunId, projectId })
       evidenceJson: safeJsonStringify(evidence, "{}"),
       youtubeMetricsJson: safeJsonStringify(youtubeMetrics, "{}"),
       newsMetricsJson: safeJsonStringify(newsMetrics, "{}"),
+      redditMetricsJson: safeJsonStringify(redditMetrics, "{}"),
+      hackernewsMetricsJson: safeJsonStringify(hackernewsMetrics, "{}"),
       llmAnglesJson: t.llmAnglesJson || "[]",
       llmAnglesStatus: t.llmAnglesStatus || "empty",
       cardBadgesJson: safeJsonStringify(badges, "[]"),
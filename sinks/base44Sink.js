@@ -0,0 +1,165 @@
+// sinks/base44Sink.js
+// Result sink backed by the Base44 app functions (the original hard-wired behavior).
+// - ingestTrendResults / buildTrendTopicsFromRun / buildTrendSignalsFromRun
+// - list/update helpers live next to them under the same /functions base.
+// - Base44 is eventually consistent: freshly built topics may not be listable yet.
+// - Writes go through the durable outbox (sinks/outbox.js) unless OUTBOX_ENABLED=false;
+//   list calls are reads and go straight to Base44.
+
+import { deepCleanForUtf8 } from "../utils/text.js";
+import { deliverViaOutbox, registerOutboxTarget } from "./outbox.js";
+import { ingestInChunks } from "./ingestChunks.js";
+
+const DEFAULT_APP_BASE = "https://trend-spark-485fdded.base44.app/api/apps/6953c58286976a82485fdded/functions";
+
+const INGEST_SECRET =
+  process.env.INGEST_SECRET || "tf_ingest_6f5d4b9b9f7c44f6b8a0c2d9d3e1a7f1";
+
+const OUTBOX_ENABLED = String(process.env.OUTBOX_ENABLED || "true").toLowerCase().trim() !== "false";
+
+// ---- Base44 POST helper (single attempt; retries live in the outbox) ----
+// opts.signal: optional scan cancellation signal
+// opts.idempotencyKey: sent as Idempotency-Key so Base44 can drop duplicate deliveries
+export async function postToBase44(url, payload, { signal, idempotencyKey } = {}) {
+  if (!url) throw new Error("postToBase44: missing url");
+
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-trendforge-secret": INGEST_SECRET,
+      ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+    },
+    body: JSON.stringify(deepCleanForUtf8(payload)),
+    ...(signal ? { signal } : {}),
+  });
+
+  const text = await resp.text();
+  if (!resp.ok) {
+    const err = new Error(`Base44 call failed ${resp.status}: ${text}`);
+    err.status = resp.status;
+    throw err;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+export function createBase44Sink() {
+  // ---- Env sanity ----
+  if (!process.env.BASE44_INGEST_URL) console.warn("⚠️ BASE44_INGEST_URL is missing");
+  if (!process.env.BASE44_ERROR_URL) console.warn("⚠️ BASE44_ERROR_URL is missing");
+  if (!process.env.INGEST_SECRET) console.warn("⚠️ INGEST_SECRET is missing");
+
+  const ingestUrl = process.env.BASE44_INGEST_URL || `${DEFAULT_APP_BASE}/ingestTrendResults`;
+  // Chunked ingest needs a dedicated finalize function; without one every ingest is a single body
+  const ingestFinalizeUrl = process.env.BASE44_INGEST_FINALIZE_URL || "";
+  // Base44 function to compute topics from TrendItems already stored for a TrendRun
+  const buildTopicsUrl = process.env.BASE44_BUILD_TOPICS_URL || `${DEFAULT_APP_BASE}/buildTrendTopicsFromRun`;
+  const buildSignalsUrl = process.env.BASE44_BUILD_SIGNALS_URL || `${DEFAULT_APP_BASE}/buildTrendSignalsFromRun`;
+  const errorUrl = process.env.BASE44_ERROR_URL || "";
+
+  const functionsBase = buildTopicsUrl.split("/functions/")[0] + "/functions";
+
+  registerOutboxTarget("base44", postToBase44);
+
+  // Outbound write: persisted + retried via the outbox (or a single direct POST when disabled).
+  // runId tags entries whose payload has no trendRunId (summary/angle updates).
+  const write = (kind, url, payload, { signal, runId } = {}) => {
+    if (!OUTBOX_ENABLED) return postToBase44(url, payload, { signal });
+    return deliverViaOutbox(
+      {
+        target: "base44",
+        kind,
+        url,
+        payload,
+        trendRunId: payload?.trendRunId || runId,
+        projectId: payload?.projectId,
+      },
+      { signal }
+    );
+  };
+
+  return {
+    name: "base44",
+    eventuallyConsistent: true,
+
+    // Large pools are chunked (sinks/ingestChunks.js) when BASE44_INGEST_FINALIZE_URL is set;
+    // each chunk is its own outbox entry.
+    async ingestItems({ trendRunId, projectId, items, xSignalSnapshot }, { signal, onChunk } = {}) {
+      console.log("➡️ Calling Base44 TrendItems ingest:", ingestUrl);
+      return ingestInChunks({
+        trendRunId,
+        projectId,
+        items,
+        xSignalSnapshot,
+        signal,
+        onChunk,
+        chunking: !!ingestFinalizeUrl,
+        send: (kind, body) => write(kind, kind === "ingestFinalize" ? ingestFinalizeUrl : ingestUrl, body, { signal }),
+      });
+    },
+
+    // Pure clustering/scoring in Base44, no LLM here
+    async buildTopics({ trendRunId, projectId, maxTopics = 60 }, { signal } = {}) {
+      console.log("TOPICS build URL:", buildTopicsUrl);
+      return write("buildTopics", buildTopicsUrl, { trendRunId, projectId, maxTopics }, { signal });
+    },
+
+    async listTopics({ trendRunId, projectId }, { signal } = {}) {
+      const resp = await postToBase44(`${functionsBase}/listTrendTopicsByRun`, { trendRunId, projectId }, { signal });
+      return Array.isArray(resp?.topics) ? resp.topics : Array.isArray(resp?.items) ? resp.items : [];
+    },
+
+    async updateTopicSummary({ trendRunId, topicId, summary, llmNotes }, { signal } = {}) {
+      return write(
+        "updateTopicSummary",
+        `${functionsBase}/updateTrendTopicSummary`,
+        { topicId, summary, llmNotes },
+        { signal, runId: trendRunId }
+      );
+    },
+
+    // Keep payload minimal + deterministic: Base44 resolves projectId from the TrendRun internally.
+    async buildSignals({ trendRunId, projectId }, { signal } = {}) {
+      console.log("SIGNALS build URL:", buildSignalsUrl);
+      return write("buildSignals", buildSignalsUrl, { trendRunId, projectId }, { signal });
+    },
+
+    async listSignals({ trendRunId, projectId, limit = 80, sort = "-scoreComposite" }, { signal } = {}) {
+      const resp = await postToBase44(
+        `${functionsBase}/listTrendSignalsByRun`,
+        { trendRunId, projectId, limit, sort },
+        { signal }
+      );
+      return Array.isArray(resp?.signals) ? resp.signals : [];
+    },
+
+    // Update function accepts "angles" or "llmAnglesJson"
+    async updateSignalAngles({ trendRunId, id, angles, llmAnglesStatus = "generated" }, { signal } = {}) {
+      return write(
+        "updateSignalAngles",
+        `${functionsBase}/updateTrendSignalAngles`,
+        { id, angles, llmAnglesStatus },
+        { signal, runId: trendRunId }
+      );
+    },
+
+    async reportError({ trendRunId, projectId, status, message, stage }, { signal } = {}) {
+      if (!errorUrl) {
+        console.warn("⚠️ BASE44_ERROR_URL not set; cannot notify Base44 of errors.");
+        return null;
+      }
+      console.log("➡️ Calling Base44 error:", errorUrl);
+      return write(
+        "reportError",
+        errorUrl,
+        { trendRunId, projectId, status, message, ...(stage !== undefined ? { stage } : {}) },
+        { signal }
+      );
+    },
+  };
+}
@@ -0,0 +1,158 @@
+// sinks/fileSink.js
+// Result sink that keeps everything on local disk (standalone mode, no Base44).
+// - One JSON document per run: DATA_DIR/runs/<trendRunId>.json
+//   { trendRunId, projectId, items, xSignalSnapshot, topics, signals, errors, ... }
+// - buildTopics/buildSignals run the in-repo builders over the stored run, so a
+//   standalone service needs no external backend at all.
+
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+import { clusterTrendTopics } from "../topics/buildTrendTopics.js";
+import { buildTrendSignals } from "../signals/buildTrendSignals.js";
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+export function runFilePath(trendRunId) {
+  const safe = String(trendRunId || "").replace(/[^a-zA-Z0-9_.-]/g, "_") || "_";
+  return dataPath("runs", `${safe}.json`);
+}
+
+export async function readRunFile(trendRunId) {
+  return readJsonFile(runFilePath(trendRunId), null);
+}
+
+export function createFileSink() {
+  // Per-run write chain so concurrent updates never clobber each other.
+  const _writes = new Map(); // trendRunId -> Promise
+
+  function updateRun(trendRunId, projectId, mutate) {
+    const key = String(trendRunId || "");
+    const prev = _writes.get(key) || Promise.resolve();
+    const next = prev
+      .catch(() => {})
+      .then(async () => {
+        const file = runFilePath(key);
+        const run = (await readJsonFile(file, null)) || {
+          trendRunId: key,
+          projectId: String(projectId || ""),
+          items: [],
+          xSignalSnapshot: null,
+          topics: [],
+          signals: [],
+          errors: [],
+          createdAt: nowIso(),
+        };
+        const result = mutate(run);
+        run.updatedAt = nowIso();
+        await writeJsonFile(file, run);
+        return result;
+      });
+    _writes.set(key, next);
+    next.finally(() => {
+      if (_writes.get(key) === next) _writes.delete(key);
+    }).catch(() => {});
+    return next;
+  }
+
+  return {
+    name: "file",
+    eventuallyConsistent: false,
+
+    async ingestItems({ trendRunId, projectId, items, xSignalSnapshot }) {
+      const list = Array.isArray(items) ? items : [];
+      await updateRun(trendRunId, projectId, (run) => {
+        run.items = list;
+        run.xSignalSnapshot = xSignalSnapshot || null;
+      });
+      console.log("💾 File sink: stored TrendItems", { trendRunId, count: list.length });
+      return { ok: true, stored: list.length };
+    },
+
+    async buildTopics({ trendRunId, projectId, maxTopics = 60 }) {
+      const count = await updateRun(trendRunId, projectId, (run) => {
+        const out = clusterTrendTopics({
+          trendRunId: run.trendRunId,
+          projectId: run.projectId || projectId,
+          items: run.items,
+          options: { maxTopics },
+        });
+        run.topics = out.topics;
+        run.items = out.items;
+        return run.topics.length;
+      });
+      return { ok: true, topics: count };
+    },
+
+    // Topics built elsewhere (TOPICS_MODE=local); items carry their topicId.
+    async saveTopics({ trendRunId, projectId, topics, items }) {
+      await updateRun(trendRunId, projectId, (run) => {
+        run.topics = Array.isArray(topics) ? topics : [];
+        if (Array.isArray(items)) run.items = items;
+      });
+      return { ok: true, stored: topics?.length || 0 };
+    },
+
+    async listTopics({ trendRunId }) {
+      const run = await readRunFile(trendRunId);
+      return Array.isArray(run?.topics) ? run.topics : [];
+    },
+
+    async updateTopicSummary({ trendRunId, projectId, topicId, summary, llmNotes }) {
+      const updated = await updateRun(trendRunId, projectId, (run) => {
+        const t = run.topics.find((x) => (x.id || x.topicId) === topicId);
+        if (!t) return false;
+        t.summary = summary;
+        if (llmNotes) t.llmNotes = llmNotes;
+        return true;
+      });
+      return { ok: updated };
+    },
+
+    async buildSignals({ trendRunId, projectId }) {
+      const count = await updateRun(trendRunId, projectId, (run) => {
+        run.signals = buildTrendSignals({
+          trendRunId: run.trendRunId,
+          projectId: run.projectId || projectId,
+          topics: run.topics,
+          items: run.items,
+        }).signals;
+        return run.signals.length;
+      });
+      return { ok: true, signals: count };
+    },
+
+    async saveSignals({ trendRunId, projectId, signals }) {
+      await updateRun(trendRunId, projectId, (run) => {
+        run.signals = Array.isArray(signals) ? signals : [];
+      });
+      return { ok: true, stored: signals?.length || 0 };
+    },
+
+    async listSignals({ trendRunId, limit = 80 }) {
+      const run = await readRunFile(trendRunId);
+      const signals = Array.isArray(run?.signals) ? run.signals.slice() : [];
+      signals.sort((a, b) => (Number(b.scoreComposite) || 0) - (Number(a.scoreComposite) || 0));
+      return signals.slice(0, limit);
+    },
+
+    async updateSignalAngles({ trendRunId, projectId, id, angles, llmAnglesStatus = "generated" }) {
+      const updated = await updateRun(trendRunId, projectId, (run) => {
+        const sig = run.signals.find((x) => (x.id || x.topicId) === id);
+        if (!sig) return false;
+        sig.llmAnglesJson = JSON.stringify(Array.isArray(angles) ? angles : []);
+        sig.llmAnglesStatus = llmAnglesStatus;
+        return true;
+      });
+      return { ok: updated };
+    },
+
+    async reportError({ trendRunId, projectId, status, message, stage }) {
+      await updateRun(trendRunId, projectId, (run) => {
+        run.errors.push({ status, message, ...(stage !== undefined ? { stage } : {}), at: nowIso() });
+        run.status = status;
+      });
+      return { ok: true };
+    },
+  };
+}
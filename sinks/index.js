@@ -0,0 +1,44 @@
+// sinks/index.js
+// Where scan results go. Every sink implements:
+//   ingestItems, buildTopics, listTopics, updateTopicSummary,
+//   buildSignals, listSignals, updateSignalAngles, reportError
+// Each method takes (payload, { signal }) and returns a Promise.
+// Optional saveTopics/saveSignals accept rows built in-process (TOPICS_MODE=local);
+// sinks without them only get the items, and the rows are returned on the job outcome.
+// `eventuallyConsistent` sinks need polling before freshly built topics are listable.
+//
+// RESULT_SINK: "base44" (default) | "file" | "webhook"
+
+import { createBase44Sink } from "./base44Sink.js";
+import { createFileSink } from "./fileSink.js";
+import { createWebhookSink } from "./webhookSink.js";
+
+const FACTORIES = {
+  base44: createBase44Sink,
+  file: createFileSink,
+  webhook: createWebhookSink,
+};
+
+export const SINK_NAMES = Object.keys(FACTORIES);
+
+export function createResultSink(name) {
+  const key = String(name || "base44").toLowerCase().trim();
+  const factory = FACTORIES[key];
+  if (!factory) {
+    const err = new Error(`Unknown result sink "${name}" (expected one of: ${SINK_NAMES.join(", ")})`);
+    err.code = "UNKNOWN_SINK";
+    throw err;
+  }
+  return factory();
+}
+
+let _sink = null;
+
+// Process-wide sink selected by RESULT_SINK.
+export function getResultSink() {
+  if (!_sink) {
+    _sink = createResultSink(process.env.RESULT_SINK);
+    console.log("📤 Result sink:", _sink.name);
+  }
+  return _sink;
+}
@@ -0,0 +1,114 @@
+// sinks/ingestChunks.js
+// Chunked TrendItems ingest with a run-level manifest.
+// - Store pools larger than INGEST_CHUNK_MAX_BYTES of JSON (or INGEST_CHUNK_SIZE items, only
+//   when that env var is set) are split; each chunk is sent on its own (own retries via the outbox).
+// - Chunk body:    { trendRunId, projectId, items, chunk: { index, total, count, checksum } }
+// - Finalize body: { trendRunId, projectId, finalize: true, manifest, xSignalSnapshot? }
+//   sent only after every chunk was acknowledged, so the receiver can verify and commit.
+// - Pools that fit in one chunk keep the original single-body ingest, as do sinks that can't
+//   take chunks (chunking: false), with a warning when the pool is over the limits.
+
+import crypto from "crypto";
+
+// Opt-in count limit; by default only the byte limit splits (store pools are small).
+const CHUNK_SIZE = process.env.INGEST_CHUNK_SIZE ? Math.max(1, Number(process.env.INGEST_CHUNK_SIZE) || 1) : Infinity;
+// Stay well under receivers' 2mb JSON body limit.
+const CHUNK_MAX_BYTES = Math.max(64 * 1024, Number(process.env.INGEST_CHUNK_MAX_BYTES || 1_500_000));
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+/**
+ * Split items by count and serialized size. A single oversize item gets its own chunk.
+ */
+export function splitIngestItems(items = [], { maxItems = CHUNK_SIZE, maxBytes = CHUNK_MAX_BYTES } = {}) {
+  const chunks = [];
+  let current = [];
+  let bytes = 0;
+
+  for (const it of items) {
+    const size = Buffer.byteLength(JSON.stringify(it ?? null));
+    if (current.length && (current.length >= maxItems || bytes + size > maxBytes)) {
+      chunks.push(current);
+      current = [];
+      bytes = 0;
+    }
+    current.push(it);
+    bytes += size;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Manifest for a chunked ingest: per-chunk checksums plus a run checksum over them.
+ */
+export function buildIngestManifest(chunks) {
+  const entries = chunks.map((items, index) => ({
+    index,
+    count: items.length,
+    checksum: sha256(JSON.stringify(items)),
+  }));
+  return {
+    totalChunks: entries.length,
+    totalItems: entries.reduce((n, c) => n + c.count, 0),
+    chunks: entries,
+    checksum: sha256(entries.map((c) => c.checksum).join(":")),
+    algorithm: "sha256",
+  };
+}
+
+/**
+ * ingestInChunks({ trendRunId, projectId, items, xSignalSnapshot, send, signal, onChunk, chunking })
+ *
+ * send(kind, body) posts one body ("ingest" | "ingestChunk" | "ingestFinalize").
+ * chunking=false always sends the single "ingest" body (receiver has no chunk/finalize support).
+ * onChunk({ index, total, count }) is called after each acknowledged chunk.
+ */
+export async function ingestInChunks({ trendRunId, projectId, items = [], xSignalSnapshot, send, signal, onChunk, chunking = true }) {
+  const chunks = splitIngestItems(items);
+
+  if (chunks.length > 1 && !chunking) {
+    console.warn("⚠️ Ingest pool over chunk limits but the sink has no chunked ingest; sending one body", {
+      trendRunId,
+      items: items.length,
+    });
+  }
+  if (chunks.length <= 1 || !chunking) {
+    return send("ingest", { trendRunId, projectId, items, ...(xSignalSnapshot ? { xSignalSnapshot } : {}) });
+  }
+
+  const manifest = buildIngestManifest(chunks);
+  console.log("📦 Chunked ingest:", {
+    trendRunId,
+    chunks: manifest.totalChunks,
+    items: manifest.totalItems,
+    checksum: manifest.checksum.slice(0, 12),
+  });
+
+  const acks = [];
+  for (let index = 0; index < chunks.length; index++) {
+    signal?.throwIfAborted();
+    const meta = manifest.chunks[index];
+    const resp = await send("ingestChunk", {
+      trendRunId,
+      projectId,
+      items: chunks[index],
+      chunk: { index, total: manifest.totalChunks, count: meta.count, checksum: meta.checksum },
+    });
+    acks.push(resp);
+    onChunk?.({ index, total: manifest.totalChunks, count: meta.count });
+  }
+
+  signal?.throwIfAborted();
+  const finalized = await send("ingestFinalize", {
+    trendRunId,
+    projectId,
+    finalize: true,
+    manifest,
+    ...(xSignalSnapshot ? { xSignalSnapshot } : {}),
+  });
+
+  return { ok: true, chunked: true, manifest, chunkAcks: acks.length, finalized };
+}
@@ -0,0 +1,63 @@
+// sinks/localResults.js
+// In-process TrendTopics/TrendSignals for one run (TOPICS_MODE=local).
+// - Clusters the store pool with topics/buildTrendTopics.js and projects signals with
+//   signals/buildTrendSignals.js: no builder round-trips, no waitForTopics polling.
+// - Exposes the same topic/signal methods as a result sink so the summaries/angles
+//   backfills run unchanged; snapshot() hands the final rows to the real sink.
+
+import { clusterTrendTopics } from "../topics/buildTrendTopics.js";
+import { buildTrendSignals } from "../signals/buildTrendSignals.js";
+
+export function createLocalResults({ trendRunId, projectId, items = [] }) {
+  let topics = [];
+  let taggedItems = items;
+  let signals = [];
+
+  return {
+    name: "local",
+    eventuallyConsistent: false,
+
+    async buildTopics({ maxTopics = 60 } = {}) {
+      const out = clusterTrendTopics({ trendRunId, projectId, items, options: { maxTopics } });
+      topics = out.topics;
+      taggedItems = out.items;
+      return { ok: true, topics: topics.length, items: taggedItems.length };
+    },
+
+    async listTopics() {
+      return topics;
+    },
+
+    async updateTopicSummary({ topicId, summary, llmNotes }) {
+      const t = topics.find((x) => x.topicId === topicId);
+      if (!t) return { ok: false };
+      t.summary = summary;
+      if (llmNotes) t.llmNotes = llmNotes;
+      return { ok: true };
+    },
+
+    async buildSignals() {
+      signals = buildTrendSignals({ trendRunId, projectId, topics, items: taggedItems }).signals;
+      return { ok: true, signals: signals.length };
+    },
+
+    async listSignals({ limit = 80 } = {}) {
+      return signals
+        .slice()
+        .sort((a, b) => (Number(b.scoreComposite) || 0) - (Number(a.scoreComposite) || 0))
+        .slice(0, limit);
+    },
+
+    async updateSignalAngles({ id, angles, llmAnglesStatus = "generated" }) {
+      const sig = signals.find((x) => (x.id || x.topicId) === id);
+      if (!sig) return { ok: false };
+      sig.llmAnglesJson = JSON.stringify(Array.isArray(angles) ? angles : []);
+      sig.llmAnglesStatus = llmAnglesStatus;
+      return { ok: true };
+    },
+
+    snapshot() {
+      return { topics, signals, items: taggedItems };
+    },
+  };
+}
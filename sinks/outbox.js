@@ -0,0 +1,265 @@
+// sinks/outbox.js
+// Durable outbox for outbound sink writes (ingest, topic/signal builds, summary/angle
+// updates, error callbacks).
+// - Every payload is written to DATA_DIR/outbox/<id>.json BEFORE the first attempt.
+// - Delivery retries network errors, 429 and 5xx with exponential backoff.
+// - Each entry carries a deterministic idempotency key (kind + run + payload hash),
+//   sent as the Idempotency-Key header, so retries and replays can be deduped downstream.
+// - Failed entries keep their payload for GET /admin/outbox + POST /admin/outbox/replay;
+//   delivered entries drop it and only keep metadata.
+
+import crypto from "crypto";
+import fs from "node:fs/promises";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/jsonStore.js";
+import { sleepUnlessAborted } from "../utils/retry.js";
+
+const OUTBOX_DIR = dataPath("outbox");
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.OUTBOX_MAX_ATTEMPTS || 5));
+const BASE_DELAY_MS = Math.max(50, Number(process.env.OUTBOX_BASE_DELAY_MS || 1000));
+const MAX_DELAY_MS = 30_000;
+
+// Delivered entries are kept (without payload) for inspection, then pruned.
+const DELIVERED_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7d
+const MAX_DELIVERED = 500;
+
+// Only finished entries can be replayed; "pending"/"delivering" still have a live loop.
+const REPLAYABLE_STATUSES = new Set(["failed", "cancelled"]);
+
+const _entries = new Map(); // id -> entry
+const _targets = new Map(); // target name -> send(url, payload, { signal, idempotencyKey })
+let _loading = null;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function sha1(s) {
+  return crypto.createHash("sha1").update(String(s)).digest("hex");
+}
+
+function entryPath(id) {
+  return dataPath("outbox", `${id}.json`);
+}
+
+async function persist(entry) {
+  try {
+    await writeJsonFile(entryPath(entry.id), entry);
+  } catch (e) {
+    console.warn("⚠️ Outbox persist failed (continuing in memory):", entry.id, e?.message || e);
+  }
+}
+
+async function remove(id) {
+  _entries.delete(id);
+  await fs.rm(entryPath(id), { force: true }).catch(() => {});
+}
+
+async function loadOutbox() {
+  let files = [];
+  try {
+    files = await fs.readdir(OUTBOX_DIR);
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.warn("⚠️ Outbox dir unreadable:", e?.message || e);
+    return;
+  }
+
+  for (const f of files) {
+    if (!f.endsWith(".json")) continue;
+    const entry = await readJsonFile(dataPath("outbox", f), null);
+    if (!entry?.id) continue;
+
+    // The process that was delivering these is gone; surface them for replay.
+    if (entry.status === "pending" || entry.status === "delivering") {
+      entry.status = "failed";
+      entry.lastError = "interrupted by restart";
+      entry.updatedAt = nowIso();
+      await persist(entry);
+    }
+    _entries.set(entry.id, entry);
+  }
+  console.log("📮 Outbox loaded:", _entries.size);
+}
+
+function ensureLoaded() {
+  return (_loading ||= loadOutbox());
+}
+
+async function pruneDelivered() {
+  const delivered = [..._entries.values()]
+    .filter((e) => e.status === "delivered")
+    .sort((a, b) => String(a.deliveredAt).localeCompare(String(b.deliveredAt)));
+
+  const now = Date.now();
+  let excess = delivered.length - MAX_DELIVERED;
+  for (const e of delivered) {
+    const expired = now - new Date(e.deliveredAt).getTime() > DELIVERED_TTL_MS;
+    if (!expired && excess <= 0) break;
+    excess--;
+    await remove(e.id);
+  }
+}
+
+function isRetryable(err) {
+  if (err?.name === "AbortError") return false;
+  const status = Number(err?.status || 0);
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Register how entries for a target are sent (used by first delivery and by replay).
+ * send(url, payload, { signal, idempotencyKey }) -> Promise<response>
+ */
+export function registerOutboxTarget(name, send) {
+  _targets.set(String(name), send);
+}
+
+export function outboxIdempotencyKey({ kind, trendRunId, payload }) {
+  return `${kind}:${trendRunId || "-"}:${sha1(JSON.stringify(payload ?? null)).slice(0, 20)}`;
+}
+
+async function attemptDelivery(entry, { signal } = {}) {
+  const send = _targets.get(entry.target);
+  if (!send) throw new Error(`outbox: no sender registered for target "${entry.target}"`);
+
+  for (;;) {
+    signal?.throwIfAborted();
+    entry.attempts++;
+    entry.status = "delivering";
+    entry.updatedAt = nowIso();
+
+    try {
+      const resp = await send(entry.url, entry.payload, { signal, idempotencyKey: entry.idempotencyKey });
+      entry.status = "delivered";
+      entry.lastError = null;
+      entry.deliveredAt = nowIso();
+      entry.updatedAt = entry.deliveredAt;
+      entry.nextAttemptAt = null;
+      entry.payload = null; // delivered: keep metadata only
+      await persist(entry);
+      return resp;
+    } catch (err) {
+      entry.lastError = err?.message || String(err);
+      entry.updatedAt = nowIso();
+
+      if (signal?.aborted) {
+        entry.status = "cancelled";
+        await persist(entry);
+        throw signal.reason || err;
+      }
+      if (!isRetryable(err) || entry.attempts >= entry.maxAttempts) {
+        entry.status = "failed";
+        await persist(entry);
+        console.warn("📮 Outbox delivery failed:", { id: entry.id, kind: entry.kind, attempts: entry.attempts, error: entry.lastError });
+        throw err;
+      }
+
+      const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * Math.pow(2, entry.attempts - 1));
+      entry.status = "pending";
+      entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      await persist(entry);
+      console.log("📮 Outbox retry scheduled:", { id: entry.id, kind: entry.kind, attempt: entry.attempts, delayMs: delay });
+      await sleepUnlessAborted(delay, signal).catch(async (e) => {
+        entry.status = "cancelled";
+        entry.updatedAt = nowIso();
+        await persist(entry);
+        throw e;
+      });
+    }
+  }
+}
+
+/**
+ * Persist a payload, then deliver it with retries. Resolves with the target's response;
+ * rejects once attempts are exhausted (the entry stays "failed" for replay).
+ */
+export async function deliverViaOutbox({ target, kind, url, payload, trendRunId, projectId, idempotencyKey }, { signal } = {}) {
+  await ensureLoaded();
+
+  const ts = nowIso();
+  const entry = {
+    id: crypto.randomUUID(),
+    target: String(target),
+    kind: String(kind),
+    url,
+    trendRunId: trendRunId ? String(trendRunId) : null,
+    projectId: projectId ? String(projectId) : null,
+    idempotencyKey: idempotencyKey || outboxIdempotencyKey({ kind, trendRunId, payload }),
+    payload,
+    status: "pending",
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    lastError: null,
+    nextAttemptAt: null,
+    createdAt: ts,
+    updatedAt: ts,
+    deliveredAt: null,
+    replays: 0,
+  };
+  _entries.set(entry.id, entry);
+  await persist(entry);
+
+  try {
+    return await attemptDelivery(entry, { signal });
+  } finally {
+    pruneDelivered().catch(() => {});
+  }
+}
+
+function summarizeEntry(e) {
+  const { payload, ...rest } = e;
+  return { ...rest, hasPayload: payload != null };
+}
+
+export async function listOutbox({ status, kind, trendRunId, limit = 100 } = {}) {
+  await ensureLoaded();
+  const out = [];
+  for (const e of _entries.values()) {
+    if (status && e.status !== status) continue;
+    if (kind && e.kind !== kind) continue;
+    if (trendRunId && e.trendRunId !== String(trendRunId)) continue;
+    out.push(e);
+  }
+  out.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  return out.slice(0, Math.max(1, Math.min(1000, Number(limit) || 100))).map(summarizeEntry);
+}
+
+export async function getOutboxStats() {
+  await ensureLoaded();
+  const byStatus = {};
+  for (const e of _entries.values()) byStatus[e.status] = (byStatus[e.status] || 0) + 1;
+  return { total: _entries.size, byStatus, maxAttempts: MAX_ATTEMPTS };
+}
+
+/**
+ * Re-deliver failed (and optionally cancelled) entries, oldest first, one at a time.
+ * Entries still pending a retry, delivering or delivered are reported as skipped.
+ * Selection: explicit ids, or every entry matching status/kind/trendRunId.
+ */
+export async function replayOutbox({ ids, status = "failed", kind, trendRunId, limit = 20 } = {}) {
+  await ensureLoaded();
+
+  const wanted = Array.isArray(ids) && ids.length ? new Set(ids.map(String)) : null;
+  const candidates = [..._entries.values()]
+    .filter((e) => (wanted ? wanted.has(e.id) : e.status === status))
+    .filter((e) => !kind || e.kind === kind)
+    .filter((e) => !trendRunId || e.trendRunId === String(trendRunId))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+    .slice(0, Math.max(1, Math.min(200, Number(limit) || 20)));
+
+  const results = [];
+  for (const entry of candidates) {
+    if (!REPLAYABLE_STATUSES.has(entry.status) || entry.payload == null) {
+      results.push({ id: entry.id, kind: entry.kind, skipped: true, status: entry.status });
+      continue;
+    }
+    entry.replays = (entry.replays || 0) + 1;
+    entry.attempts = 0;
+    try {
+      await attemptDelivery(entry);
+      results.push({ id: entry.id, kind: entry.kind, delivered: true });
+    } catch (e) {
+      results.push({ id: entry.id, kind: entry.kind, delivered: false, error: e?.message || String(e) });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,100 @@
+// sinks/webhookSink.js
+// Generic result sink: every operation is POSTed to RESULT_WEBHOOK_URL as
+//   { event: "<operation>", ...payload }
+// so any backend can consume scan results.
+// - Optional RESULT_WEBHOOK_SECRET is sent as "Authorization: Bearer <secret>".
+// - list* operations read `topics` / `signals` arrays from the JSON response.
+// - Large ingests arrive as "ingestChunk" events followed by one "ingestFinalize".
+
+import { fetchWithRetry } from "../utils/retry.js";
+import { deepCleanForUtf8 } from "../utils/text.js";
+import { ingestInChunks } from "./ingestChunks.js";
+
+export function createWebhookSink() {
+  const url = process.env.RESULT_WEBHOOK_URL || "";
+  const secret = process.env.RESULT_WEBHOOK_SECRET || "";
+  if (!url) console.warn("⚠️ RESULT_WEBHOOK_URL is missing (RESULT_SINK=webhook)");
+
+  async function send(event, payload, { signal } = {}) {
+    if (!url) throw new Error("webhook sink: missing RESULT_WEBHOOK_URL");
+
+    const resp = await fetchWithRetry(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(secret ? { Authorization: `Bearer ${secret}` } : {}),
+        },
+        body: JSON.stringify(deepCleanForUtf8({ event, ...payload })),
+        ...(signal ? { signal } : {}),
+      },
+      { retries: 2, timeoutMs: 30000 }
+    );
+
+    const text = await resp.text();
+    if (!resp.ok) throw new Error(`Webhook ${event} failed ${resp.status}: ${text.slice(0, 500)}`);
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  return {
+    name: "webhook",
+    eventuallyConsistent: false,
+
+    async ingestItems({ trendRunId, projectId, items, xSignalSnapshot }, { signal, onChunk } = {}) {
+      return ingestInChunks({
+        trendRunId,
+        projectId,
+        items,
+        xSignalSnapshot,
+        signal,
+        onChunk,
+        send: (kind, body) => send(kind === "ingest" ? "ingestItems" : kind, body, { signal }),
+      });
+    },
+
+    async buildTopics({ trendRunId, projectId, maxTopics = 60 }, opts) {
+      return send("buildTopics", { trendRunId, projectId, maxTopics }, opts);
+    },
+
+    async listTopics({ trendRunId, projectId }, opts) {
+      const resp = await send("listTopics", { trendRunId, projectId }, opts);
+      return Array.isArray(resp?.topics) ? resp.topics : [];
+    },
+
+    async updateTopicSummary({ trendRunId, projectId, topicId, summary, llmNotes }, opts) {
+      return send("updateTopicSummary", { trendRunId, projectId, topicId, summary, llmNotes }, opts);
+    },
+
+    // Topics built in-process (TOPICS_MODE=local)
+    async saveTopics({ trendRunId, projectId, topics }, opts) {
+      return send("saveTopics", { trendRunId, projectId, topics }, opts);
+    },
+
+    async buildSignals({ trendRunId, projectId }, opts) {
+      return send("buildSignals", { trendRunId, projectId }, opts);
+    },
+
+    async saveSignals({ trendRunId, projectId, signals }, opts) {
+      return send("saveSignals", { trendRunId, projectId, signals }, opts);
+    },
+
+    async listSignals({ trendRunId, projectId, limit = 80, sort = "-scoreComposite" }, opts) {
+      const resp = await send("listSignals", { trendRunId, projectId, limit, sort }, opts);
+      return Array.isArray(resp?.signals) ? resp.signals : [];
+    },
+
+    async updateSignalAngles({ trendRunId, projectId, id, angles, llmAnglesStatus = "generated" }, opts) {
+      return send("updateSignalAngles", { trendRunId, projectId, id, angles, llmAnglesStatus }, opts);
+    },
+
+    async reportError({ trendRunId, projectId, status, message, stage }, opts) {
+      return send("reportError", { trendRunId, projectId, status, message, ...(stage !== undefined ? { stage } : {}) }, opts);
+    },
+  };
+}
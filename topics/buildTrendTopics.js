@@ -95,6 +95,17 @@ function platformKey(p) {
   return String(p || "unknown").toLowerCase().trim();
 }
 
+/**
+ * Cluster normalized TrendItems into TrendTopics.
+ * Same parameters as buildTrendTopics; also returns the input items tagged with
+ * the topicId of the cluster they landed in (needed for per-topic evidence).
+ *
+ * @returns {{ topics: Array<Object>, items: Array<Object> }}
+ */
+export function clusterTrendTopics(params) {
+  return buildTopicClusters(params);
+}
+
 /**
  * Build TrendTopics from normalized TrendItems.
  *
@@ -110,7 +121,11 @@ function platformKey(p) {
  *
  * @returns {Array<Object>} TrendTopics records matching your schema
  */
-export function buildTrendTopics({
+export function buildTrendTopics(params) {
+  return buildTopicClusters(params).topics;
+}
+
+function buildTopicClusters({
   trendRunId,
   projectId,
   items,
@@ -180,11 +195,23 @@ export function buildTrendTopics({
     let ytVelocitySum = 0;
     let ytViewsSum = 0;
     let ytEngagementSum = 0; // likes + comments
+    let ytShortsCount = 0;
+    let ytLiveCount = 0;
+    const ytFormatCounts = { short: 0, medium: 0, long: 0 };
 
     // Aggregate News signals (optional)
     let newsCount = 0;
     const newsSourceSet = new Set();
 
+    // Aggregate Reddit signals (optional)
+    let redditScoreSum = 0;
+    let redditCommentsSum = 0;
+    const subredditSet = new Set();
+
+    // Aggregate Hacker News signals (optional)
+    let hnPointsSum = 0;
+    let hnCommentsSum = 0;
+
     for (const it of clusterItems) {
       const p = platformKey(it.platform);
       platformCounts[p] = (platformCounts[p] || 0) + 1;
@@ -202,12 +229,26 @@ export function buildTrendTopics({
         ytVelocitySum += Number(m.velocity || 0);
         ytViewsSum += Number(m.views || 0);
         ytEngagementSum += Number(m.likes || 0) + Number(m.comments || 0);
+        if (m.isShort) ytShortsCount += 1;
+        if (m.isLive) ytLiveCount += 1;
+        if (m.format in ytFormatCounts) ytFormatCounts[m.format] += 1;
       }
 
       if (p === "news") {
         newsCount += 1;
         if (it.author) newsSourceSet.add(String(it.author).trim().toLowerCase());
       }
+
+      if (p === "reddit") {
+        redditScoreSum += Number(m.score || 0);
+        redditCommentsSum += Number(m.comments || 0);
+        if (m.subreddit) subredditSet.add(String(m.subreddit).toLowerCase());
+      }
+
+      if (p === "hackernews") {
+        hnPointsSum += Number(m.points || 0);
+        hnCommentsSum += Number(m.comments || 0);
+      }
     }
 
     const clusterSize = clusterItems.length;
@@ -238,17 +279,26 @@ export function buildTrendTopics({
       (Math.log1p(newsSourceSet.size || 1) / Math.log1p(12)) * 0.4
     );
 
+    // Community discussion (Reddit, Hacker News): the stronger of the two
+    const redditStrength = clamp01(
+      (Math.log1p(redditScoreSum + 2 * redditCommentsSum) / Math.log1p(100000)) * 0.7 +
+      (Math.log1p(subredditSet.size) / Math.log1p(8)) * 0.3
+    );
+    const hackernewsStrength = clamp01(Math.log1p(hnPointsSum + hnCommentsSum) / Math.log1p(3000));
+    const communityStrength = Math.max(redditStrength, hackernewsStrength);
+
     // Confirmation score (Phase 1): cross-source confirmation
     // later: add Google Trends slope/level
-    const hasYt = (platformCounts.youtube || 0) > 0;
-    const hasNews = (platformCounts.news || 0) > 0;
-    const confirmationScore = clamp01((hasYt ? 0.5 : 0) + (hasNews ? 0.5 : 0)); // 0, 0.5, or 1
+    // 0.5 per platform with evidence: one platform = 0.5, two or more = 1
+    const confirmedPlatforms = Object.keys(platformCounts).filter((p) => p !== "unknown" && platformCounts[p] > 0);
+    const confirmationScore = clamp01(0.5 * confirmedPlatforms.length);
 
     // Final topicScore (0..1000)
     // Transparent: strong + fresh + confirmed - saturated
+    // (the coverage slot takes news or community discussion, whichever is stronger)
     const final01 =
       0.40 * youtubeStrength +
-      0.25 * newsStrength +
+      0.25 * Math.max(newsStrength, communityStrength) +
       0.20 * freshnessScore +
       0.15 * confirmationScore -
       0.25 * saturationPenalty;
@@ -257,6 +307,7 @@ export function buildTrendTopics({
 
     const keywords = topKeywords([...c.signature], 12);
     const topicId = hashTopicId(keywords);
+    c.topicId = topicId;
 
     const topSourceUrls = clusterItems
       .slice()
@@ -296,12 +347,26 @@ export function buildTrendTopics({
       youtubeSignalsJson: safeJsonStringify({
         velocitySum: ytVelocitySum,
         viewsSum: ytViewsSum,
-        engagementSum: ytEngagementSum
+        engagementSum: ytEngagementSum,
+        shortsCount: ytShortsCount,
+        liveCount: ytLiveCount,
+        formatCounts: ytFormatCounts
       }),
       newsSignalsJson: safeJsonStringify({
         articleCount: newsCount,
         sourceCount: newsSourceSet.size
       }),
+      redditSignalsJson: safeJsonStringify({
+        postCount: platformCounts.reddit || 0,
+        scoreSum: redditScoreSum,
+        commentsSum: redditCommentsSum,
+        subredditCount: subredditSet.size
+      }),
+      hackernewsSignalsJson: safeJsonStringify({
+        storyCount: platformCounts.hackernews || 0,
+        pointsSum: hnPointsSum,
+        commentsSum: hnCommentsSum
+      }),
 
       googleTrendsJson: safeJsonStringify({}), // filled later
       confirmationScore,
@@ -311,6 +376,7 @@ export function buildTrendTopics({
       scoreBreakdownJson: safeJsonStringify({
         youtubeStrength,
         newsStrength,
+        communityStrength,
         freshnessScore,
         confirmationScore,
         saturationPenalty,
@@ -325,5 +391,10 @@ export function buildTrendTopics({
 
   // 4) Return top N topics
   topicRecords.sort((a, b) => (b.topicScore ?? 0) - (a.topicScore ?? 0));
-  return topicRecords.slice(0, maxTopics);
+
+  const taggedItems = clusters.flatMap((c) =>
+    c.items.map(({ _tokens, _keywords, ...it }) => ({ ...it, topicId: c.topicId }))
+  );
+
+  return { topics: topicRecords.slice(0, maxTopics), items: taggedItems };
 }
\ No newline at end of file
@@ -0,0 +1,130 @@
+// utils/cron.js
+// Minimal 5-field cron expressions (UTC): "minute hour day-of-month month day-of-week".
+// - Supports "*", lists "1,15", ranges "1-5", steps "*/15" / "0-30/10", and dow 7 = Sunday.
+// - Shortcuts: @hourly, @daily (@midnight), @weekly, @monthly; also bare "hourly" / "daily"
+//   to match the watchlist frequency values.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+const SHORTCUTS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  hourly: "0 * * * *",
+  daily: "0 0 * * *",
+};
+
+// Don't search further than this for the next match (e.g. "0 0 31 2 *" never fires).
+const MAX_LOOKAHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+function cronError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_CRON";
+  return err;
+}
+
+function parseField(raw, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of String(raw).split(",")) {
+    const [rangePart, stepPart] = part.split("/");
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) throw cronError(`cron ${name}: bad step "${part}"`);
+
+    let lo = min;
+    let hi = max;
+    if (rangePart !== "*") {
+      const [a, b] = rangePart.split("-");
+      lo = Number(a);
+      hi = b === undefined ? (stepPart === undefined ? lo : max) : Number(b);
+    }
+    if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < min || hi > max || lo > hi) {
+      throw cronError(`cron ${name}: out of range "${part}" (${min}-${max})`);
+    }
+
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+
+  return { values, any: raw === "*" };
+}
+
+/**
+ * parseCron("*\/15 * * * *") -> { expression, minute, hour, dayOfMonth, month, dayOfWeek }
+ * Throws err.code = "INVALID_CRON" on bad input.
+ */
+export function parseCron(expression) {
+  const trimmed = String(expression || "").trim();
+  const expanded = SHORTCUTS[trimmed.toLowerCase()] || trimmed;
+  const parts = expanded.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) throw cronError(`cron: expected 5 fields, got "${trimmed}"`);
+
+  const out = { expression: trimmed };
+  FIELDS.forEach((f, i) => {
+    out[f.name] = parseField(parts[i], f);
+  });
+
+  // 7 is an alias for Sunday
+  if (out.dayOfWeek.values.has(7)) out.dayOfWeek.values.add(0);
+  return out;
+}
+
+function dayMatches(cron, d) {
+  const dom = cron.dayOfMonth.values.has(d.getUTCDate());
+  const dow = cron.dayOfWeek.values.has(d.getUTCDay());
+  // Classic cron: when both day fields are restricted, either one may match.
+  if (!cron.dayOfMonth.any && !cron.dayOfWeek.any) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * Next fire time strictly after `from` (Date | ms), or null if none within a year.
+ */
+export function nextCronTime(cronOrExpression, from = Date.now()) {
+  const cron = typeof cronOrExpression === "string" ? parseCron(cronOrExpression) : cronOrExpression;
+
+  const d = new Date(typeof from === "number" ? from : new Date(from).getTime());
+  d.setUTCSeconds(0, 0);
+  d.setUTCMinutes(d.getUTCMinutes() + 1);
+  const limit = d.getTime() + MAX_LOOKAHEAD_MS;
+
+  while (d.getTime() <= limit) {
+    if (!cron.month.values.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1);
+      d.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, d)) {
+      d.setUTCDate(d.getUTCDate() + 1);
+      d.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.values.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.values.has(d.getUTCMinutes())) {
+      d.setUTCMinutes(d.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+/**
+ * "hourly" | "daily" when the expression is one of the watchlist-style shortcuts, else "".
+ */
+export function cronFrequency(expression) {
+  const key = String(expression || "").trim().toLowerCase().replace(/^@/, "");
+  if (key === "hourly") return "hourly";
+  if (key === "daily" || key === "midnight") return "daily";
+  return "";
+}
@@ -0,0 +1,55 @@
+// utils/jsonStore.js
+// Tiny JSON-file persistence for local service state (schedules, outbox, run archive, ...).
+// - Files live under DATA_DIR (default ./data), created on first write.
+// - Writes are atomic (tmp file + rename) so a crash never leaves half-written JSON.
+
+import crypto from "crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || "./data");
+
+export function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+export async function readJsonFile(file, fallback = null) {
+  try {
+    const text = await fs.readFile(file, "utf8");
+    return JSON.parse(text);
+  } catch (e) {
+    if (e?.code === "ENOENT") return fallback;
+    console.warn("⚠️ jsonStore: unreadable file (using fallback):", file, e?.message || e);
+    return fallback;
+  }
+}
+
+export async function writeJsonFile(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  // Unique per write: two writes of the same file can land in the same millisecond
+  const tmp = `${file}.${process.pid}.${Date.now()}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2), "utf8");
+  await fs.rename(tmp, file);
+}
+
+// Keep the newest `max` *.json files in a directory (by mtime); older ones are removed.
+export async function pruneJsonDir(dir, max) {
+  let files = [];
+  try {
+    files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+  } catch {
+    return;
+  }
+  if (files.length <= max) return;
+
+  const stats = await Promise.all(
+    files.map(async (f) => {
+      const st = await fs.stat(path.join(dir, f)).catch(() => null);
+      return { f, mtime: st?.mtimeMs || 0 };
+    })
+  );
+  stats.sort((a, b) => a.mtime - b.mtime);
+  for (const { f } of stats.slice(0, stats.length - max)) {
+    await fs.rm(path.join(dir, f), { force: true }).catch(() => {});
+  }
+}
@@ -1,3 +1,24 @@
+// Combine the per-attempt timeout with an optional caller signal (scan cancellation).
+function linkSignals(timeoutSignal, callerSignal) {
+  if (!callerSignal) return timeoutSignal;
+  return AbortSignal.any([timeoutSignal, callerSignal]);
+}
+
+export function sleepUnlessAborted(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
 export async function fetchWithRetry(url, options = {}, cfg = {}) {
   const {
     retries = 3,
@@ -6,25 +27,31 @@ export async function fetchWithRetry(url, options = {}, cfg = {}) {
     timeoutMs = 15000,
   } = cfg;
 
+  // Caller-provided signal aborts the whole call (no further retries).
+  const callerSignal = options.signal || null;
+
   for (let attempt = 0; attempt <= retries; attempt++) {
+    if (callerSignal?.aborted) throw callerSignal.reason;
+
     const controller = new AbortController();
     const t = setTimeout(() => controller.abort(), timeoutMs);
 
     try {
-      const res = await fetch(url, { ...options, signal: controller.signal });
+      const res = await fetch(url, { ...options, signal: linkSignals(controller.signal, callerSignal) });
 
       // Retry 429/5xx
       if ((res.status === 429 || res.status >= 500) && attempt < retries) {
         const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
-        await new Promise(r => setTimeout(r, delay));
+        await sleepUnlessAborted(delay, callerSignal);
         continue;
       }
 
       return res;
     } catch (err) {
+      if (callerSignal?.aborted) throw callerSignal.reason;
       if (attempt >= retries) throw err;
       const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
-      await new Promise(r => setTimeout(r, delay));
+      await sleepUnlessAborted(delay, callerSignal);
     } finally {
       clearTimeout(t);
     }
@@ -114,3 +114,23 @@ export function sanitizeText(input, { maxLen } = {}) {
 
   return s;
 }
+
+// ---- UTF-8 safety: remove lone surrogate code units (prevents Base44/Python utf-8 errors) ----
+export function stripLoneSurrogates(s) {
+  // Any code unit in D800–DFFF is a surrogate. If it appears alone in a JS string,
+  // JSON.stringify will emit \ud83d style escapes which Python cannot encode as UTF-8.
+  return String(s ?? "").replace(/[\uD800-\uDFFF]/g, "");
+}
+
+export function deepCleanForUtf8(x) {
+  if (x == null) return x;
+  if (typeof x === "string") return stripLoneSurrogates(x);
+  if (typeof x === "number" || typeof x === "boolean") return x;
+  if (Array.isArray(x)) return x.map(deepCleanForUtf8);
+  if (typeof x === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(x)) out[k] = deepCleanForUtf8(v);
+    return out;
+  }
+  return x;
+}
@@ -0,0 +1,36 @@
+// utils/url.js
+// URL helpers shared by dedupe (server.js) and run diffs (archive/runResults.js).
+
+// Strip common tracking params so we dedupe better (especially RSS)
+export function canonicalizeUrl(u) {
+  try {
+    const url = new URL(String(u || "").trim());
+    // remove obvious tracking parameters
+    const drop = new Set([
+      "utm_source",
+      "utm_medium",
+      "utm_campaign",
+      "utm_term",
+      "utm_content",
+      "utm_id",
+      "utm_name",
+      "utm_reader",
+      "utm_referrer",
+      "gclid",
+      "fbclid",
+      "mc_cid",
+      "mc_eid",
+      "ref",
+      "ref_src",
+      "igshid",
+    ]);
+    for (const k of [...url.searchParams.keys()]) {
+      if (drop.has(k.toLowerCase())) url.searchParams.delete(k);
+    }
+    // Keep path/query but drop hash
+    url.hash = "";
+    return url.toString();
+  } catch {
+    return String(u || "").trim();
+  }
+}
@@ -1,4 +1,7 @@
 // youtubeCollector.js
+import { markYouTubeQuotaExhausted, tryChargeYouTubeQuota } from "./youtubeQuota.js";
+import { youtubeFormatMetrics } from "./youtubeFormat.js";
+
 const YT_SEARCH_URL = "https://www.googleapis.com/youtube/v3/search";
 const YT_VIDEOS_URL = "https://www.googleapis.com/youtube/v3/videos";
 
@@ -55,11 +58,22 @@ function looksLikeQuotaExceeded(status, text) {
   if (status !== 403) return false;
   const s = String(text || "").toLowerCase();
   // Typical signals: "quotaExceeded" reason and/or "exceeded your quota"
-  return s.includes("quota") && (s.includes("quotaexceeded") || s.includes("exceeded your"));
+  const hit = s.includes("quota") && (s.includes("quotaexceeded") || s.includes("exceeded your"));
+  if (hit) markYouTubeQuotaExhausted();
+  return hit;
+}
+
+// Live calls are charged against the daily budget (youtubeQuota.js); cacheOnly scans make none.
+function canCallLive(endpoint, cacheOnly) {
+  if (cacheOnly || !tryChargeYouTubeQuota(endpoint)) {
+    console.warn(`⚠️ [YT quota budget] ${endpoint} skipped (${cacheOnly ? "cache-only scan" : "over daily budget"})`);
+    return false;
+  }
+  return true;
 }
 
-async function fetchText(url) {
-  const resp = await fetch(url);
+async function fetchText(url, signal) {
+  const resp = await fetch(url, signal ? { signal } : undefined);
   const text = await resp.text();
   return { resp, text };
 }
@@ -79,24 +93,67 @@ function shortKeyPart(s, maxLen = 80) {
   return cps.slice(0, maxLen).join("") + `…len${cps.length}`;  
 }
 
+// videos.list resource -> TrendItem (search + chart modes)
+function toYouTubeItem(v, { queryUsed, region, now }) {
+  const snippet = v.snippet || {};
+  const stats = v.statistics || {};
+
+  const publishedMs = snippet.publishedAt ? new Date(snippet.publishedAt).getTime() : now;
+  const ageHours = Math.max(1, (now - publishedMs) / 36e5);
+
+  const views = safeNum(stats.viewCount);
+  const likes = safeNum(stats.likeCount);
+  const comments = safeNum(stats.commentCount);
+
+  const trendScore = computeTrendScore({ views, likes, comments, ageHours });
+
+  return {
+    platform: "youtube",
+    topicTitle: snippet.title || "Untitled",
+    topicSummary: snippet.description || "",
+    sourceUrl: `https://www.youtube.com/watch?v=${v.id}`,
+    queryUsed,
+    publishedAt: snippet.publishedAt || new Date().toISOString(),
+    author: snippet.channelTitle || "",
+    metrics: {
+      views,
+      likes,
+      comments,
+      ageHours: Math.round(ageHours),
+      velocity: likes + comments, // placeholder
+      region,
+      ...youtubeFormatMetrics(v),
+    },
+    trendScore,
+    riskScore: 5,
+    clusterId: `yt_${v.id}`,
+  };
+}
+
 export async function collectYouTubeTrends({
   nicheName,
   region = "Global",
   regionCode = "",
   relevanceLanguage = "",
   maxResults = 15,
+  // Serve cached results only (quota budget planner)
+  cacheOnly = false,
+  // Optional scan cancellation signal
+  signal,
 }) {
   const apiKey = process.env.YOUTUBE_API_KEY;
   if (!apiKey) throw new Error("YOUTUBE_API_KEY is missing in Render env");
 
   const q = (nicheName || "trending").trim() || "trending";
-  const publishedAfter = isoHoursAgo(48);
+  const windowHours = 48;
+  const publishedAfter = isoHoursAgo(windowHours);
   const cappedMax = Math.min(maxResults, 25);
 
   // ----------------------
   // 1) search.list (cached)
   // ----------------------
-  const searchKey = `yt:search:q=${encodeURIComponent(shortKeyPart(q))}:max=${cappedMax}:after=${publishedAfter}:region=${encodeURIComponent(
+  // Keyed by window length, not the exact publishedAfter (which moves every call)
+  const searchKey = `yt:search:q=${encodeURIComponent(shortKeyPart(q))}:max=${cappedMax}:window=${windowHours}h:region=${encodeURIComponent(
     shortKeyPart(region)
   )}:rc=${encodeURIComponent(shortKeyPart(regionCode || ""))}:lang=${encodeURIComponent(
     shortKeyPart(relevanceLanguage || "")
@@ -109,6 +166,8 @@ export async function collectYouTubeTrends({
     console.log("🧠 [YT cache hit] search.list", { q, cappedMax, region });
     videoIds = cachedSearch;
   } else {
+    if (!canCallLive("search.list", cacheOnly)) return [];
+
     // search.list: quota cost is high (100 units), so keep maxResults small.
     const searchParams = new URLSearchParams({
       part: "snippet",
@@ -129,7 +188,8 @@ export async function collectYouTubeTrends({
     }
 
     const { resp: searchResp, text: searchText } = await fetchText(
-      `${YT_SEARCH_URL}?${searchParams.toString()}`
+      `${YT_SEARCH_URL}?${searchParams.toString()}`,
+      signal
     );
 
     if (!searchResp.ok) {
@@ -171,6 +231,8 @@ export async function collectYouTubeTrends({
       console.log("🧠 [YT cache hit] videos.list", { count: ids.length });
       vidsJson = cachedVids;
     } else {
+      if (!canCallLive("videos.list", cacheOnly)) break; // keep what we already have
+
       const videosParams = new URLSearchParams({
         part: "snippet,statistics,contentDetails",
         id: ids.join(","),
@@ -178,7 +240,8 @@ export async function collectYouTubeTrends({
       });
 
       const { resp: vidsResp, text: vidsText } = await fetchText(
-        `${YT_VIDEOS_URL}?${videosParams.toString()}`
+        `${YT_VIDEOS_URL}?${videosParams.toString()}`,
+        signal
       );
 
       if (!vidsResp.ok) {
@@ -196,41 +259,137 @@ export async function collectYouTubeTrends({
     }
 
     for (const v of vidsJson.items || []) {
-      const snippet = v.snippet || {};
-      const stats = v.statistics || {};
-
-      const publishedMs = snippet.publishedAt ? new Date(snippet.publishedAt).getTime() : now;
-      const ageHours = Math.max(1, (now - publishedMs) / 36e5);
-
-      const views = safeNum(stats.viewCount);
-      const likes = safeNum(stats.likeCount);
-      const comments = safeNum(stats.commentCount);
-
-      const trendScore = computeTrendScore({ views, likes, comments, ageHours });
-
-      items.push({
-        platform: "youtube",
-        topicTitle: snippet.title || "Untitled",
-        topicSummary: snippet.description || "",
-        sourceUrl: `https://www.youtube.com/watch?v=${v.id}`,
-        queryUsed: q,
-        publishedAt: snippet.publishedAt || new Date().toISOString(),
-        author: snippet.channelTitle || "",
-        metrics: {
-          views,
-          likes,
-          comments,
-          ageHours: Math.round(ageHours),
-          velocity: likes + comments, // placeholder
-          region,
-        },
-        trendScore,
-        riskScore: 5,
-        clusterId: `yt_${v.id}`,
-      });
+      items.push(toYouTubeItem(v, { queryUsed: q, region, now }));
     }
   }
 
   items.sort((a, b) => (b.trendScore ?? 0) - (a.trendScore ?? 0));
   return items;
 }
+
+// ----------------------
+// Chart mode: videos.list?chart=mostPopular (1 unit per call)
+// ----------------------
+
+// YouTube video category ids (videoCategories.list) matched by niche keywords.
+// Not every category has a mostPopular chart in every region (videoChartNotFound).
+const NICHE_CATEGORY_RULES = [
+  { categoryId: "20", re: /\b(gam(e|es|ing|er|ers)|esports?|minecraft|fortnite|roblox|nintendo|playstation|xbox)\b/i },
+  { categoryId: "10", re: /\b(music|songs?|albums?|rap|hip ?hop|k-?pop|concerts?|singers?)\b/i },
+  { categoryId: "17", re: /\b(sports?|football|soccer|nba|nfl|cricket|tennis|f1|formula 1|ufc|boxing|golf)\b/i },
+  { categoryId: "28", re: /\b(tech|technology|ai|artificial intelligence|science|gadgets?|smartphones?|software|coding|programming|crypto|space)\b/i },
+  { categoryId: "25", re: /\b(news|politics|elections?|world|breaking|economy|finance)\b/i },
+  { categoryId: "26", re: /\b(how ?to|diy|beauty|makeup|fashion|style|cooking|recipes?|food|home)\b/i },
+  { categoryId: "27", re: /\b(education|learning|history|explained|tutorials?|study)\b/i },
+  { categoryId: "23", re: /\b(comedy|funny|memes?|pranks?|sketch)\b/i },
+  { categoryId: "2", re: /\b(cars?|autos?|automotive|vehicles?|ev|motorcycles?)\b/i },
+  { categoryId: "15", re: /\b(pets?|animals?|dogs?|cats?|wildlife)\b/i },
+  { categoryId: "19", re: /\b(travel|tourism|vlogs? travel|destinations?)\b/i },
+  { categoryId: "1", re: /\b(movies?|films?|trailers?|animation|anime|cinema)\b/i },
+  { categoryId: "24", re: /\b(entertainment|celebrit(y|ies)|tv|shows?|reality|influencers?)\b/i },
+];
+
+const GENERIC_NICHES = new Set(["", "global", "general", "trending", "all"]);
+
+/**
+ * Map a niche to a YouTube category id ("" = all categories, chart filtered by text only).
+ */
+export function youtubeCategoryForNiche(niche) {
+  const s = String(niche || "").trim();
+  if (GENERIC_NICHES.has(s.toLowerCase())) return "";
+  return NICHE_CATEGORY_RULES.find((r) => r.re.test(s))?.categoryId || "";
+}
+
+function nicheTokens(niche) {
+  return String(niche || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length >= 2);
+}
+
+// Local niche filter for chart results (title + description + tags); generic niches match all.
+function matchesNiche(v, niche) {
+  if (GENERIC_NICHES.has(String(niche || "").trim().toLowerCase())) return true;
+  const tokens = nicheTokens(niche);
+  if (!tokens.length) return true;
+
+  const snippet = v?.snippet || {};
+  const text = ` ${[snippet.title, snippet.description, ...(snippet.tags || [])].join(" ").toLowerCase()} `;
+  // Any niche token; short ones like "ai" must be whole words
+  return tokens.some((t) =>
+    t.length >= 3 ? text.includes(t) : new RegExp(`[^\\p{L}\\p{N}]${t}[^\\p{L}\\p{N}]`, "u").test(text)
+  );
+}
+
+/**
+ * collectYouTubeChart({ niches, region, regionCode, categoryId, maxResults, cacheOnly, signal })
+ *
+ * One videos.list?chart=mostPopular call (1 quota unit) per region/category, filtered
+ * locally against the niches; each kept item records the niche it matched in queryUsed.
+ * Returns [] on quota exhaustion or when the region has no chart for that category.
+ */
+export async function collectYouTubeChart({
+  niches = [],
+  region = "Global",
+  regionCode = "",
+  categoryId = "",
+  maxResults = 50,
+  cacheOnly = false,
+  signal,
+}) {
+  const apiKey = process.env.YOUTUBE_API_KEY;
+  if (!apiKey) throw new Error("YOUTUBE_API_KEY is missing in Render env");
+
+  const rc = /^[A-Z]{2}$/i.test(regionCode || "") ? String(regionCode).toUpperCase() : "";
+  const cappedMax = Math.max(1, Math.min(Number(maxResults) || 50, 50));
+  const chartKey = `yt:chart:rc=${rc}:cat=${categoryId}:max=${cappedMax}`;
+
+  let chartJson = cacheGet(chartKey);
+  if (chartJson) {
+    console.log("🧠 [YT cache hit] videos.list chart", { rc, categoryId });
+  } else {
+    if (!canCallLive("videos.list", cacheOnly)) return [];
+
+    const params = new URLSearchParams({
+      part: "snippet,statistics,contentDetails",
+      chart: "mostPopular",
+      maxResults: String(cappedMax),
+      key: apiKey,
+    });
+    // Without regionCode the chart defaults to US
+    if (rc) params.set("regionCode", rc);
+    if (categoryId) params.set("videoCategoryId", String(categoryId));
+
+    const { resp, text } = await fetchText(`${YT_VIDEOS_URL}?${params.toString()}`, signal);
+    if (!resp.ok) {
+      if (looksLikeQuotaExceeded(resp.status, text)) {
+        console.warn("⚠️ [YT quota exceeded] videos.list chart — returning [] (no YouTube chart this run)");
+        return [];
+      }
+      if ((resp.status === 400 || resp.status === 404) && /videoChartNotFound/.test(text)) {
+        console.warn("⚠️ [YT chart] no mostPopular chart for", { rc, categoryId });
+        return [];
+      }
+      throw new Error(`YouTube chart failed ${resp.status}: ${text}`);
+    }
+
+    chartJson = JSON.parse(text);
+    cacheSet(chartKey, chartJson, TTL_VIDEOS_MS);
+  }
+
+  const now = Date.now();
+  const wanted = niches.length ? niches : ["Global"];
+  const items = [];
+  (chartJson.items || []).forEach((v, idx) => {
+    const niche = wanted.find((n) => matchesNiche(v, n));
+    if (!niche) return;
+    const item = toYouTubeItem(v, { queryUsed: niche, region, now });
+    item.metrics.chartRank = idx + 1;
+    item.metrics.categoryId ||= categoryId || "";
+    item.metrics.source = "chart";
+    items.push(item);
+  });
+
+  items.sort((a, b) => (b.trendScore ?? 0) - (a.trendScore ?? 0));
+  return items;
+}
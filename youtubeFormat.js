@@ -0,0 +1,59 @@
+// youtubeFormat.js
+// Format metadata from a videos.list resource (part=snippet,contentDetails), shared by
+// the YouTube collectors.
+// - Duration: ISO-8601 contentDetails.duration ("PT1M5S") -> seconds.
+// - format: "short" (< 4 min), "medium" (4-20 min), "long" (> 20 min), the buckets of
+//   search.list videoDuration; "live" while broadcasting, "upcoming" for scheduled ones.
+// - isShort: <= 60s, or <= 3 min and tagged #shorts (Shorts may run up to 3 minutes since
+//   late 2024, but only the tag tells those apart). The API exposes no aspect ratio, so
+//   "vertical" is inferred from these two signals.
+
+const SHORT_MAX_SEC = 60;
+const TAGGED_SHORT_MAX_SEC = 180;
+
+// "P1DT2H3M4S" / "PT45S" -> seconds; null when missing or unparseable ("P0D" for live = 0)
+export function parseIsoDuration(iso) {
+  const m = String(iso || "").match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!m) return null;
+  const [, w, d, h, min, s] = m.map((x) => Number(x || 0));
+  return Math.round(w * 604800 + d * 86400 + h * 3600 + min * 60 + s);
+}
+
+export function durationBucket(sec) {
+  if (!Number.isFinite(sec) || sec <= 0) return "";
+  if (sec < 240) return "short";
+  if (sec <= 1200) return "medium";
+  return "long";
+}
+
+function hasShortsTag(snippet) {
+  const text = `${snippet.title || ""} ${snippet.description || ""}`.toLowerCase();
+  if (/#shorts?\b/.test(text)) return true;
+  return (snippet.tags || []).some((t) => /^#?shorts?$/i.test(String(t).trim()));
+}
+
+/**
+ * Metrics fields describing a video's format:
+ * { durationSec, format, isShort, isLive, liveBroadcast, categoryId, tags, defaultLanguage }
+ */
+export function youtubeFormatMetrics(v) {
+  const snippet = v?.snippet || {};
+  const durationSec = parseIsoDuration(v?.contentDetails?.duration);
+  const liveBroadcast = snippet.liveBroadcastContent || "none"; // "live" | "upcoming" | "none"
+
+  const isShort =
+    liveBroadcast === "none" &&
+    durationSec > 0 &&
+    (durationSec <= SHORT_MAX_SEC || (durationSec <= TAGGED_SHORT_MAX_SEC && hasShortsTag(snippet)));
+
+  return {
+    durationSec,
+    format: liveBroadcast !== "none" ? liveBroadcast : durationBucket(durationSec),
+    isShort: !!isShort,
+    isLive: liveBroadcast === "live",
+    liveBroadcast,
+    categoryId: snippet.categoryId || "",
+    tags: Array.isArray(snippet.tags) ? snippet.tags.slice(0, 15) : [],
+    defaultLanguage: snippet.defaultLanguage || snippet.defaultAudioLanguage || "",
+  };
+}
@@ -0,0 +1,112 @@
+// youtubeQuota.js
+// YouTube Data API v3 quota accounting shared by all YouTube collectors and scans.
+// - Units are charged before each live API call (cache hits are free) at YT_QUOTA_COST.
+// - The day follows Google's reset: midnight America/Los_Angeles.
+// - The counter persists to DATA_DIR/youtube_quota.json so restarts don't forget spend.
+// - YOUTUBE_QUOTA_BUDGET (default 10000, the standard project quota) caps daily spend;
+//   a quotaExceeded response marks the day exhausted whatever the counter says.
+
+import { dataPath, readJsonFile, writeJsonFile } from "./utils/jsonStore.js";
+
+// Units per call (https://developers.google.com/youtube/v3/determine_quota_cost)
+export const YT_QUOTA_COST = { "search.list": 100, "videos.list": 1, "playlistItems.list": 1 };
+
+export const YT_DAILY_BUDGET = Math.max(0, Number(process.env.YOUTUBE_QUOTA_BUDGET || 10000));
+
+const QUOTA_FILE = dataPath("youtube_quota.json");
+const RESET_TZ = "America/Los_Angeles";
+
+const dayFormat = new Intl.DateTimeFormat("en-CA", { timeZone: RESET_TZ, year: "numeric", month: "2-digit", day: "2-digit" });
+
+let _state = freshState(pacificDay());
+let _loading = null; // Promise for the one-time load from disk
+let _saving = Promise.resolve();
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// YYYY-MM-DD in Pacific time
+function pacificDay(ms = Date.now()) {
+  return dayFormat.format(new Date(ms));
+}
+
+// Pacific offsets are whole hours, so the first hour boundary on a new day is midnight.
+function nextResetAt(ms = Date.now()) {
+  const today = pacificDay(ms);
+  let t = Math.ceil(ms / 36e5) * 36e5;
+  while (pacificDay(t) === today) t += 36e5;
+  return new Date(t).toISOString();
+}
+
+function freshState(day) {
+  return { version: 1, day, spent: 0, calls: {}, exhaustedAt: null, updatedAt: null };
+}
+
+function rollover() {
+  const day = pacificDay();
+  if (_state.day !== day) _state = freshState(day);
+}
+
+function saveQuota() {
+  const snapshot = { ..._state, calls: { ..._state.calls } };
+  // Serialize writes so an older snapshot never lands after a newer one.
+  _saving = _saving
+    .then(() => writeJsonFile(QUOTA_FILE, snapshot))
+    .catch((e) => console.warn("⚠️ Failed to persist YouTube quota (continuing):", e?.message || e));
+  return _saving;
+}
+
+async function loadQuota() {
+  const data = await readJsonFile(QUOTA_FILE, null);
+  rollover();
+  if (data?.day !== _state.day) return;
+
+  // Charges made before the load finished are added on top of the saved counter.
+  _state.spent += Number(data.spent || 0);
+  for (const [k, n] of Object.entries(data.calls || {})) _state.calls[k] = (_state.calls[k] || 0) + Number(n || 0);
+  _state.exhaustedAt ||= data.exhaustedAt || null;
+  console.log("📊 YouTube quota loaded:", { day: _state.day, spent: _state.spent, budget: YT_DAILY_BUDGET });
+}
+
+export function loadYouTubeQuota() {
+  return (_loading ||= loadQuota());
+}
+
+/**
+ * Charge `calls` x endpoint cost if it fits in today's remaining budget.
+ * Returns false (nothing charged) when it doesn't: callers skip the live call.
+ */
+export function tryChargeYouTubeQuota(endpoint, calls = 1) {
+  rollover();
+  const units = (YT_QUOTA_COST[endpoint] ?? 1) * calls;
+  if (units > getYouTubeQuotaStatus().remaining) return false;
+
+  _state.spent += units;
+  _state.calls[endpoint] = (_state.calls[endpoint] || 0) + calls;
+  _state.updatedAt = nowIso();
+  saveQuota();
+  return true;
+}
+
+// The API answered quotaExceeded: nothing more can be spent until the reset.
+export function markYouTubeQuotaExhausted() {
+  rollover();
+  if (_state.exhaustedAt) return;
+  _state.exhaustedAt = nowIso();
+  _state.updatedAt = _state.exhaustedAt;
+  saveQuota();
+}
+
+export function getYouTubeQuotaStatus() {
+  rollover();
+  return {
+    day: _state.day,
+    budget: YT_DAILY_BUDGET,
+    spent: _state.spent,
+    remaining: _state.exhaustedAt ? 0 : Math.max(0, YT_DAILY_BUDGET - _state.spent),
+    exhausted: !!_state.exhaustedAt,
+    calls: { ..._state.calls },
+    resetsAt: nextResetAt(),
+  };
+}
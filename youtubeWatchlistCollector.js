@@ -1,9 +1,19 @@
 // youtubeWatchlistCollector.js
 // Collects recent videos for a user-defined watchlist (channels + keywords)
 // using the YouTube Data API v3.
+// - Channels: uploads playlist via playlistItems.list (1 unit), falling back to the public
+//   channel Atom feed (0 units) when the playlist call fails or quota is gone.
+// - Keywords: search.list (100 units).
+// - Stats for everything: videos.list (1 unit per 50 ids).
+
+import { fetchFeedEntries } from "./collectors/rss.js";
+import { markYouTubeQuotaExhausted, tryChargeYouTubeQuota } from "./youtubeQuota.js";
+import { youtubeFormatMetrics } from "./youtubeFormat.js";
 
 const YT_SEARCH_URL = "https://www.googleapis.com/youtube/v3/search";
 const YT_VIDEOS_URL = "https://www.googleapis.com/youtube/v3/videos";
+const YT_PLAYLIST_ITEMS_URL = "https://www.googleapis.com/youtube/v3/playlistItems";
+const YT_CHANNEL_FEED_URL = "https://www.youtube.com/feeds/videos.xml";
 
 // ----------------------
 // Simple in-memory cache (per Render instance)
@@ -27,6 +37,7 @@ function cacheSet(key, value, ttlMs) {
 // Cache TTLs (tune later)
 const TTL_SEARCH_MS = 10 * 60 * 1000; // 10 min
 const TTL_VIDEOS_MS = 10 * 60 * 1000; // 10 min
+const TTL_UPLOADS_MS = 10 * 60 * 1000; // 10 min
 
 function isoHoursAgo(hours) {
   const d = new Date(Date.now() - hours * 60 * 60 * 1000);
@@ -67,11 +78,18 @@ function computeTrendScore({ views, likes, comments, ageHours }) {
 function looksLikeQuotaExceeded(status, text) {
   if (status !== 403) return false;
   const s = String(text || "").toLowerCase();
-  return s.includes("quota") && (s.includes("quotaexceeded") || s.includes("exceeded your"));
+  const hit = s.includes("quota") && (s.includes("quotaexceeded") || s.includes("exceeded your"));
+  if (hit) markYouTubeQuotaExhausted();
+  return hit;
+}
+
+// Live calls are charged against the daily budget (youtubeQuota.js); cacheOnly scans make none.
+function canCallLive(endpoint, cacheOnly) {
+  return !cacheOnly && tryChargeYouTubeQuota(endpoint);
 }
 
-async function fetchText(url) {
-  const resp = await fetch(url);
+async function fetchText(url, signal) {
+  const resp = await fetch(url, signal ? { signal } : undefined);
   const text = await resp.text();
   return { resp, text };
 }
@@ -142,7 +160,9 @@ function mapVideoToTrendItem(v, meta) {
       commentRate: Math.round((comments / Math.max(1, views)) * 1e6) / 1e6,
       sourceType: meta.sourceType,
       sourceLabel: meta.sourceLabel || "",
+      ...(meta.uploadsSource ? { uploadsSource: meta.uploadsSource } : {}),
       region: meta.region || "Global",
+      ...youtubeFormatMetrics(v),
     },
     trendScore,
     riskScore: 5,
@@ -150,16 +170,20 @@ function mapVideoToTrendItem(v, meta) {
   };
 }
 
-async function ytSearchCached(params, apiKey, cacheKey, onQuota) {
+async function ytSearchCached(params, apiKey, cacheKey, onQuota, signal, cacheOnly = false) {
   const cached = cacheGet(cacheKey);
   if (cached) {
     console.log("🧠 [YT cache hit] search.list", { key: cacheKey });
     return cached;
   }
+  if (!canCallLive("search.list", cacheOnly)) {
+    if (typeof onQuota === "function") onQuota();
+    return null;
+  }
 
   const searchParams = new URLSearchParams({ ...params, key: apiKey });
   const url = `${YT_SEARCH_URL}?${searchParams.toString()}`;
-  const { resp, text } = await fetchText(url);
+  const { resp, text } = await fetchText(url, signal);
 
   if (!resp.ok) {
     if (looksLikeQuotaExceeded(resp.status, text)) {
@@ -174,12 +198,16 @@ async function ytSearchCached(params, apiKey, cacheKey, onQuota) {
   return json;
 }
 
-async function ytVideosCached(ids, apiKey, cacheKey, onQuota) {
+async function ytVideosCached(ids, apiKey, cacheKey, onQuota, signal, cacheOnly = false) {
   const cached = cacheGet(cacheKey);
   if (cached) {
     console.log("🧠 [YT cache hit] videos.list", { count: ids.length });
     return cached;
   }
+  if (!canCallLive("videos.list", cacheOnly)) {
+    if (typeof onQuota === "function") onQuota();
+    return null;
+  }
 
   const videosParams = new URLSearchParams({
     part: "snippet,statistics,contentDetails",
@@ -188,7 +216,7 @@ async function ytVideosCached(ids, apiKey, cacheKey, onQuota) {
   });
 
   const url = `${YT_VIDEOS_URL}?${videosParams.toString()}`;
-  const { resp, text } = await fetchText(url);
+  const { resp, text } = await fetchText(url, signal);
 
   if (!resp.ok) {
     if (looksLikeQuotaExceeded(resp.status, text)) {
@@ -203,6 +231,78 @@ async function ytVideosCached(ids, apiKey, cacheKey, onQuota) {
   return json;
 }
 
+// "UC..." channel id -> "UU..." uploads playlist id (YouTube convention)
+function uploadsPlaylistId(channelId) {
+  return /^UC[\w-]{22}$/.test(channelId) ? `UU${channelId.slice(2)}` : "";
+}
+
+// -> [{ videoId, publishedAt }] newest first, or null on quota exhaustion / no budget
+async function uploadsFromPlaylist(playlistId, cap, apiKey, signal, cacheOnly) {
+  if (!canCallLive("playlistItems.list", cacheOnly)) return null;
+
+  const params = new URLSearchParams({
+    part: "contentDetails",
+    playlistId,
+    maxResults: String(cap),
+    key: apiKey,
+  });
+  const { resp, text } = await fetchText(`${YT_PLAYLIST_ITEMS_URL}?${params.toString()}`, signal);
+
+  if (!resp.ok) {
+    if (looksLikeQuotaExceeded(resp.status, text)) return null;
+    throw new Error(`YouTube playlistItems.list failed ${resp.status}: ${text.slice(0, 200)}`);
+  }
+
+  return (JSON.parse(text).items || [])
+    .map((it) => ({
+      videoId: it?.contentDetails?.videoId,
+      publishedAt: it?.contentDetails?.videoPublishedAt || it?.snippet?.publishedAt || null,
+    }))
+    .filter((x) => x.videoId);
+}
+
+// Public Atom feed: last ~15 uploads, no key and no quota
+async function uploadsFromFeed(channelId, signal) {
+  const entries = await fetchFeedEntries(`${YT_CHANNEL_FEED_URL}?channel_id=${encodeURIComponent(channelId)}`, {
+    timeoutMs: 15000,
+    signal,
+  });
+  return entries
+    .map((e) => ({ videoId: String(e?.["yt:videoId"] || ""), publishedAt: e?.published || null }))
+    .filter((x) => x.videoId);
+}
+
+// Recent uploads for a channel (region-independent, so cached across the per-region runs).
+async function recentChannelUploads(channelId, { cap, apiKey, signal, cacheOnly }) {
+  const cacheKey = `yt:wl:uploads:channel=${channelId}:cap=${cap}`;
+  const cached = cacheGet(cacheKey);
+  if (cached) {
+    console.log("🧠 [YT cache hit] channel uploads", { channelId });
+    return cached;
+  }
+
+  let uploads = null;
+  let source = "playlist";
+  const playlistId = uploadsPlaylistId(channelId);
+  if (playlistId) {
+    try {
+      uploads = await uploadsFromPlaylist(playlistId, cap, apiKey, signal, cacheOnly);
+      if (!uploads) console.warn(`⚠️ [YT quota] playlistItems.list unavailable (watchlist channel ${channelId}) — using channel feed`);
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      console.warn(`⚠️ uploads playlist failed (watchlist channel ${channelId}) — using channel feed:`, e?.message || e);
+    }
+  }
+  if (!uploads) {
+    source = "feed";
+    uploads = await uploadsFromFeed(channelId, signal);
+  }
+
+  const out = { source, uploads };
+  cacheSet(cacheKey, out, TTL_UPLOADS_MS);
+  return out;
+}
+
 export async function collectYouTubeWatchlist({
   watchlist,
   region = "Global",
@@ -211,6 +311,10 @@ export async function collectYouTubeWatchlist({
   windowHours = 72,
   maxPerChannel = 10,
   maxPerKeyword = 10,
+  // Serve cached results only (quota budget planner); channels still use their free feed
+  cacheOnly = false,
+  // Optional scan cancellation signal
+  signal,
 }) {
   const apiKey = process.env.YOUTUBE_API_KEY;
   if (!apiKey) throw new Error("YOUTUBE_API_KEY is missing in env");
@@ -224,43 +328,35 @@ export async function collectYouTubeWatchlist({
   const idMeta = new Map();
 
   // ----------------------
-  // A) channel uploads
+  // A) channel uploads (uploads playlist / channel feed, no search.list)
   // ----------------------
+  const publishedAfterMs = Date.parse(publishedAfter);
   for (const c of wl.channels) {
     const channelId = c.channelId.trim();
     const cap = Math.min(maxPerChannel, 25);
 
-    const cacheKey = `yt:wl:search:channel=${channelId}:cap=${cap}:after=${publishedAfter}:rc=${shortKeyPart(
-      regionCode
-    )}:lang=${shortKeyPart(relevanceLanguage)}`;
-
-    const res = await ytSearchCached(
-      {
-        part: "snippet",
-        type: "video",
-        channelId,
-        order: "date",
-        maxResults: String(cap),
-        publishedAfter,
-        ...(regionCode ? { regionCode } : {}),
-        ...(relevanceLanguage ? { relevanceLanguage } : {}),
-      },
-      apiKey,
-      cacheKey,
-      () => console.warn(`⚠️ [YT quota exceeded] search.list (watchlist channel ${channelId}) — skipping channel`)
-    );
+    let res;
+    try {
+      res = await recentChannelUploads(channelId, { cap, apiKey, signal, cacheOnly });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      console.warn(`⚠️ watchlist channel ${channelId} uploads unavailable — skipping channel:`, e?.message || e);
+      continue;
+    }
 
-    if (!res) continue;
+    // Uploads come newest first; keep the ones inside the window
+    const recent = res.uploads
+      .filter((u) => !(Date.parse(u.publishedAt || "") < publishedAfterMs))
+      .slice(0, cap);
 
-    for (const it of res.items || []) {
-      const vid = it?.id?.videoId;
-      if (!vid) continue;
+    for (const { videoId: vid } of recent) {
       if (!ids.has(vid)) ids.add(vid);
       if (!idMeta.has(vid)) {
         idMeta.set(vid, {
           sourceType: "watchlist_channel",
           sourceLabel: c.label || c.channelId,
           queryUsed: `channel:${c.channelId}`,
+          uploadsSource: res.source,
           region,
         });
       }
@@ -274,7 +370,8 @@ export async function collectYouTubeWatchlist({
     const q = k.query.trim();
     const cap = Math.min(maxPerKeyword, 25);
 
-    const cacheKey = `yt:wl:search:q=${encodeURIComponent(shortKeyPart(q))}:cap=${cap}:after=${publishedAfter}:rc=${shortKeyPart(
+    // Keyed by window length, not the exact publishedAfter (which moves every call)
+    const cacheKey = `yt:wl:search:q=${encodeURIComponent(shortKeyPart(q))}:cap=${cap}:window=${windowHours}h:rc=${shortKeyPart(
       regionCode
     )}:lang=${shortKeyPart(relevanceLanguage)}`;
 
@@ -291,7 +388,9 @@ export async function collectYouTubeWatchlist({
       },
       apiKey,
       cacheKey,
-      () => console.warn(`⚠️ [YT quota exceeded] search.list (watchlist keyword "${q}") — skipping keyword`)
+      () => console.warn(`⚠️ [YT quota] search.list unavailable (watchlist keyword "${q}") — skipping keyword`),
+      signal,
+      cacheOnly
     );
 
     if (!res) continue;
@@ -326,7 +425,9 @@ export async function collectYouTubeWatchlist({
       chunk,
       apiKey,
       vidsKey,
-      () => console.warn("⚠️ [YT quota exceeded] videos.list (watchlist) — returning partial results")
+      () => console.warn("⚠️ [YT quota] videos.list unavailable (watchlist) — returning partial results"),
+      signal,
+      cacheOnly
     );
 
     if (!vids) break;